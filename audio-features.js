@@ -0,0 +1,169 @@
+// Audio Features
+// Computed once per frame and shared by whoever needs them (the script-2/3
+// sketches, Level 5 rule conditions). All values are plain numbers in the
+// `features` object, updated in place:
+//
+//   rms, peak   level of the time-domain signal (0-1)
+//   amplitude   mean absolute level (0-1), the sketches' volume
+//   zcr         zero-crossing rate, crossings per sample (0-1)
+//   entropy     spectral entropy, 0 = one pure peak, 1 = flat noise
+//   centroid    spectral centroid as a fraction of Nyquist (0-1)
+//   flux        positive spectral change since the last frame (0-1)
+//   onset       1 on frames where flux jumps above its recent average
+//   beat        1 on frames where the low end does the same (kick/bass hits)
+//
+// Onsets and beats use frame counts rather than clock time, so the same input
+// always gives the same flags.
+
+const FEATURE_HISTORY = 43; // Frames of flux kept for the adaptive threshold (~0.7s at 60fps)
+const ONSET_SENSITIVITY = 1.5; // Standard deviations above the mean
+const ONSET_MIN_FLUX = 0.01;
+const ONSET_REFRACTORY = 6; // Frames before another onset can fire
+const BEAT_MIN_FLUX = 0.02;
+const BEAT_REFRACTORY = 15;
+
+const features = {
+    rms: 0,
+    amplitude: 0,
+    peak: 0,
+    zcr: 0,
+    entropy: 0,
+    centroid: 0,
+    flux: 0,
+    onset: 0,
+    beat: 0
+};
+
+// Running state between frames
+const featureState = {
+    prevSpectrum: null,
+    fluxHistory: new Float32Array(FEATURE_HISTORY),
+    lowFluxHistory: new Float32Array(FEATURE_HISTORY),
+    historyIndex: 0,
+    historyCount: 0,
+    sinceOnset: Infinity,
+    sinceBeat: Infinity,
+    time: null, // Analyser read buffers
+    db: null,
+    levels: null
+};
+
+// Forget the running history, e.g. when a run restarts from a seed
+function resetFeatures() {
+    const st = featureState;
+    st.prevSpectrum = null;
+    st.fluxHistory.fill(0);
+    st.lowFluxHistory.fill(0);
+    st.historyIndex = 0;
+    st.historyCount = 0;
+    st.sinceOnset = Infinity;
+    st.sinceBeat = Infinity;
+    Object.keys(features).forEach(key => { features[key] = 0; });
+}
+
+// Is value well above the recent history? (mean + sensitivity * std)
+function isPeak(history, count, value, minimum) {
+    if (value < minimum || count === 0) return false;
+    let sum = 0;
+    let sumSquares = 0;
+    for (let i = 0; i < count; i++) {
+        sum += history[i];
+        sumSquares += history[i] * history[i];
+    }
+    const mean = sum / count;
+    const std = Math.sqrt(Math.max(sumSquares / count - mean * mean, 0));
+    return value > mean + ONSET_SENSITIVITY * std;
+}
+
+// time: signed signal (-1..1), spectrum: magnitudes (0..1), any lengths
+function computeFeatures(time, spectrum) {
+    // Time domain
+    let sumSquares = 0;
+    let sumAbs = 0;
+    let peak = 0;
+    let crossings = 0;
+    for (let i = 0; i < time.length; i++) {
+        const x = time[i];
+        sumSquares += x * x;
+        sumAbs += Math.abs(x);
+        peak = Math.max(peak, Math.abs(x));
+        if (i > 0 && (x >= 0) !== (time[i - 1] >= 0)) crossings++;
+    }
+    features.rms = Math.sqrt(sumSquares / time.length);
+    features.amplitude = sumAbs / time.length;
+    features.peak = peak;
+    features.zcr = time.length > 1 ? crossings / (time.length - 1) : 0;
+
+    // Spectrum
+    const n = spectrum.length;
+    const lowCount = Math.max(1, Math.round(n / 128)); // Roughly the bottom 200Hz of a 2048 FFT
+    if (!featureState.prevSpectrum || featureState.prevSpectrum.length !== n) {
+        featureState.prevSpectrum = Float32Array.from(spectrum);
+    }
+    const prev = featureState.prevSpectrum;
+
+    let total = 0;
+    let weighted = 0;
+    let flux = 0;
+    let lowFlux = 0;
+    for (let i = 0; i < n; i++) {
+        const s = spectrum[i];
+        total += s;
+        weighted += i * s;
+        const rise = Math.max(s - prev[i], 0);
+        flux += rise;
+        if (i < lowCount) lowFlux += rise;
+        prev[i] = s;
+    }
+
+    let entropy = 0;
+    if (total > 0) {
+        for (let i = 0; i < n; i++) {
+            const p = spectrum[i] / total;
+            if (p > 0) entropy -= p * Math.log(p);
+        }
+    }
+    features.entropy = n > 1 ? entropy / Math.log(n) : 0;
+    features.centroid = total > 0 && n > 1 ? weighted / total / (n - 1) : 0;
+    features.flux = flux / n;
+    lowFlux /= lowCount;
+
+    // Onsets and beats against the recent history, then record this frame
+    const st = featureState;
+    st.sinceOnset++;
+    st.sinceBeat++;
+    features.onset = 0;
+    features.beat = 0;
+    if (st.sinceOnset > ONSET_REFRACTORY && isPeak(st.fluxHistory, st.historyCount, features.flux, ONSET_MIN_FLUX)) {
+        features.onset = 1;
+        st.sinceOnset = 0;
+    }
+    if (st.sinceBeat > BEAT_REFRACTORY && isPeak(st.lowFluxHistory, st.historyCount, lowFlux, BEAT_MIN_FLUX)) {
+        features.beat = 1;
+        st.sinceBeat = 0;
+    }
+    st.fluxHistory[st.historyIndex] = features.flux;
+    st.lowFluxHistory[st.historyIndex] = lowFlux;
+    st.historyIndex = (st.historyIndex + 1) % FEATURE_HISTORY;
+    st.historyCount = Math.min(st.historyCount + 1, FEATURE_HISTORY);
+
+    return features;
+}
+
+// Reads the analyser directly, independent of the page's input mode
+function updateFeaturesFromAnalyser(analyser) {
+    const st = featureState;
+    if (!st.time || st.time.length !== analyser.fftSize) st.time = new Float32Array(analyser.fftSize);
+    if (!st.db || st.db.length !== analyser.frequencyBinCount) {
+        st.db = new Float32Array(analyser.frequencyBinCount);
+        st.levels = new Float32Array(analyser.frequencyBinCount);
+    }
+
+    analyser.getFloatTimeDomainData(st.time);
+    analyser.getFloatFrequencyData(st.db);
+    const range = analyser.maxDecibels - analyser.minDecibels;
+    for (let i = 0; i < st.db.length; i++) {
+        st.levels[i] = Math.min(Math.max((st.db[i] - analyser.minDecibels) / range, 0), 1);
+    }
+    return computeFeatures(st.time, st.levels);
+}
@@ -0,0 +1,192 @@
+// Audio File Input
+// Shared by every page: decode a dropped or picked WAV/MP3/OGG file and play it
+// through the page's analyser, with a small transport bar (open, play/pause, seek, loop).
+// Load before the page script.
+
+class FilePlayer {
+    constructor(audioCtx, output) {
+        this.audioCtx = audioCtx;
+        this.output = output; // Node the file feeds (the page's analyser)
+        this.buffer = null;
+        this.name = '';
+        this.node = null; // BufferSource nodes are one-shot, a new one per play()
+        this.startedAt = 0; // audioCtx time that maps to position 0
+        this.offset = 0; // Position in seconds while paused
+        this.playing = false;
+        this.loop = true;
+    }
+
+    async load(file) {
+        const bytes = await file.arrayBuffer();
+        const buffer = await this.audioCtx.decodeAudioData(bytes);
+        this.stopNode();
+        this.playing = false;
+        this.buffer = buffer;
+        this.name = file.name;
+        this.offset = 0;
+    }
+
+    get duration() {
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    get currentTime() {
+        if (!this.playing) return this.offset;
+        const t = this.audioCtx.currentTime - this.startedAt;
+        return this.loop ? t % this.duration : Math.min(t, this.duration);
+    }
+
+    play() {
+        if (!this.buffer || this.playing) return;
+        // A context created by a drop (or once the click's activation ran out) starts
+        // suspended, and nothing else on the file path would wake it
+        if (this.audioCtx.state === 'suspended') this.audioCtx.resume();
+        const node = this.audioCtx.createBufferSource();
+        node.buffer = this.buffer;
+        node.loop = this.loop;
+        node.connect(this.output);
+        node.connect(this.audioCtx.destination); // Unlike the mic, a file should be heard
+        node.onended = () => {
+            // Reached the end without looping: rewind
+            if (this.node !== node) return;
+            this.node = null;
+            this.playing = false;
+            this.offset = 0;
+        };
+        node.start(0, this.offset);
+        this.node = node;
+        this.startedAt = this.audioCtx.currentTime - this.offset;
+        this.playing = true;
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.offset = this.currentTime;
+        this.stopNode();
+        this.playing = false;
+    }
+
+    toggle() {
+        this.playing ? this.pause() : this.play();
+    }
+
+    seek(time) {
+        const wasPlaying = this.playing;
+        this.pause();
+        this.offset = Math.min(Math.max(time, 0), this.duration);
+        if (wasPlaying) this.play();
+    }
+
+    setLoop(loop) {
+        // Restart from the current position so currentTime stays consistent
+        const time = this.currentTime;
+        this.loop = loop;
+        this.seek(time);
+    }
+
+    stopNode() {
+        if (!this.node) return;
+        this.node.onended = null;
+        this.node.stop();
+        this.node.disconnect();
+        this.node = null;
+    }
+}
+
+const formatTime = (seconds) => {
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${String(s).padStart(2, '0')}`;
+};
+
+// Saves a Blob through a temporary link (capture, frame tapes, presets)
+function downloadBlob(filename, blob) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000); // Give the download a moment to start
+}
+
+// Shared container for the bottom-left tool bars (transport, and any others a page adds)
+function getToolbar() {
+    let tools = document.getElementById('tools');
+    if (!tools) {
+        tools = document.createElement('div');
+        tools.id = 'tools';
+        // Keep clicks on the controls from reaching the pages' "click to start" handlers
+        tools.addEventListener('click', (e) => e.stopPropagation());
+        document.body.appendChild(tools);
+    }
+    return tools;
+}
+
+// Builds the transport bar and the drag & drop target.
+// onFile(file) is called with whatever the user picks; attach(player) binds the controls.
+function setupFileInput(onFile) {
+    const bar = document.createElement('div');
+    bar.className = 'tool-bar';
+    bar.innerHTML = `
+        <button data-action="open">[Open]</button>
+        <button data-action="play" disabled>[Play]</button>
+        <input type="range" data-action="seek" min="0" max="1" step="0.001" value="0" disabled>
+        <span class="tool-label" data-role="time">No file</span>
+        <label class="tool-label"><input type="checkbox" data-action="loop" checked> Loop</label>
+        <input type="file" accept="audio/*,.wav,.mp3,.ogg" hidden>
+    `;
+    getToolbar().appendChild(bar);
+
+    const fileInput = bar.querySelector('input[type="file"]');
+    const playBtn = bar.querySelector('[data-action="play"]');
+    const seek = bar.querySelector('[data-action="seek"]');
+    const loop = bar.querySelector('[data-action="loop"]');
+    const time = bar.querySelector('[data-role="time"]');
+    let player = null;
+    let seeking = false;
+
+    bar.querySelector('[data-action="open"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) onFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    // Drop a file anywhere on the page
+    window.addEventListener('dragover', (e) => e.preventDefault());
+    window.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const file = e.dataTransfer.files[0];
+        if (file) onFile(file);
+    });
+
+    playBtn.addEventListener('click', () => player && player.toggle());
+    loop.addEventListener('change', () => player && player.setLoop(loop.checked));
+    seek.addEventListener('input', () => {
+        seeking = true;
+        time.textContent = `${formatTime(seek.value * player.duration)} / ${formatTime(player.duration)}`;
+    });
+    seek.addEventListener('change', () => {
+        seeking = false;
+        player.seek(seek.value * player.duration);
+    });
+
+    function refresh() {
+        requestAnimationFrame(refresh);
+        if (!player || !player.buffer) return;
+        playBtn.textContent = player.playing ? '[Pause]' : '[Play]';
+        if (seeking) return;
+        seek.value = player.currentTime / player.duration;
+        time.textContent = `${formatTime(player.currentTime)} / ${formatTime(player.duration)}`;
+    }
+
+    return {
+        attach(filePlayer) {
+            const first = !player;
+            player = filePlayer;
+            player.setLoop(loop.checked);
+            playBtn.disabled = false;
+            seek.disabled = false;
+            bar.title = player.name;
+            if (first) refresh();
+        }
+    };
+}
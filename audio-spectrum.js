@@ -0,0 +1,151 @@
+// Analyser Input Modes
+// Shared by every page: chooses what the analyser hands the visuals each frame.
+//   Waveform:        getByteTimeDomainData (128 = silence), as before
+//   Spectrum (byte): getByteFrequencyData
+//   Spectrum (dB):   getFloatFrequencyData, scaled by the analyser's min/maxDecibels
+// Spectra can be grouped into log- or mel-spaced bands, which also shortens
+// the array (visuals iterate over data.length, so they follow along).
+// Load after audio-file.js (uses its toolbar), before the page script.
+
+const INPUT_MODES = {
+    time: 'Waveform',
+    byteFrequency: 'Spectrum (byte)',
+    floatFrequency: 'Spectrum (dB)'
+};
+const BAND_MODES = {
+    none: 'All Bins',
+    log: 'Log Bands',
+    mel: 'Mel Bands'
+};
+const BAND_COUNTS = [16, 32, 64, 128];
+const BAND_MIN_FREQ = 20; // Hz, lowest band edge
+
+const inputSettings = {
+    mode: 'time',
+    bands: 'none',
+    bandCount: 64
+};
+
+// Buffers reused frame to frame, sized on first use
+const inputBuffers = {
+    time: null,
+    byteFreq: null,
+    floatFreq: null,
+    levels: null,
+    bands: null,
+    bytes: null,
+    edges: null,
+    edgesKey: ''
+};
+
+const ensureBuffer = (buffer, Type, length) => (buffer && buffer.length === length ? buffer : new Type(length));
+
+const hzToMel = hz => 2595 * Math.log10(1 + hz / 700);
+const melToHz = mel => 700 * (10 ** (mel / 2595) - 1);
+
+// Bin index edges for each band, count + 1 entries, every band at least one bin wide
+function bandEdges(analyser) {
+    const bins = analyser.frequencyBinCount;
+    const nyquist = analyser.context.sampleRate / 2;
+    const key = `${inputSettings.bands}:${inputSettings.bandCount}:${bins}:${nyquist}`;
+    if (inputBuffers.edgesKey === key) return inputBuffers.edges;
+
+    const count = inputSettings.bandCount;
+    const toScale = inputSettings.bands === 'mel' ? hzToMel : Math.log;
+    const fromScale = inputSettings.bands === 'mel' ? melToHz : Math.exp;
+    const lo = toScale(BAND_MIN_FREQ);
+    const hi = toScale(nyquist);
+    const edges = new Uint16Array(count + 1);
+    for (let b = 0; b <= count; b++) {
+        const hz = fromScale(lo + (hi - lo) * b / count);
+        edges[b] = Math.min(Math.round(hz / nyquist * bins), bins);
+        if (b > 0 && edges[b] <= edges[b - 1]) edges[b] = Math.min(edges[b - 1] + 1, bins);
+    }
+
+    inputBuffers.edges = edges;
+    inputBuffers.edgesKey = key;
+    return edges;
+}
+
+// Spectrum levels 0-1, per bin or per band. Frequency modes only.
+function readSpectrum(analyser) {
+    const bins = analyser.frequencyBinCount;
+    const levels = inputBuffers.levels = ensureBuffer(inputBuffers.levels, Float32Array, bins);
+
+    if (inputSettings.mode === 'floatFrequency') {
+        const db = inputBuffers.floatFreq = ensureBuffer(inputBuffers.floatFreq, Float32Array, bins);
+        analyser.getFloatFrequencyData(db);
+        const range = analyser.maxDecibels - analyser.minDecibels;
+        for (let i = 0; i < bins; i++) {
+            levels[i] = Math.min(Math.max((db[i] - analyser.minDecibels) / range, 0), 1);
+        }
+    } else {
+        const bytes = inputBuffers.byteFreq = ensureBuffer(inputBuffers.byteFreq, Uint8Array, bins);
+        analyser.getByteFrequencyData(bytes);
+        for (let i = 0; i < bins; i++) levels[i] = bytes[i] / 255;
+    }
+
+    if (inputSettings.bands === 'none') return levels;
+
+    // Average the bins inside each band
+    const edges = bandEdges(analyser);
+    const count = inputSettings.bandCount;
+    const bands = inputBuffers.bands = ensureBuffer(inputBuffers.bands, Float32Array, count);
+    for (let b = 0; b < count; b++) {
+        const start = Math.min(edges[b], bins - 1);
+        const end = Math.max(edges[b + 1], start + 1);
+        let sum = 0;
+        for (let i = start; i < end; i++) sum += levels[i];
+        bands[b] = sum / (end - start);
+    }
+    return bands;
+}
+
+// Byte data for the sketches: the raw waveform, or the spectrum scaled to 0-255
+function readAnalyser(analyser) {
+    if (inputSettings.mode === 'time') {
+        const time = inputBuffers.time = ensureBuffer(inputBuffers.time, Uint8Array, analyser.frequencyBinCount);
+        analyser.getByteTimeDomainData(time);
+        return time;
+    }
+    const levels = readSpectrum(analyser);
+    const bytes = inputBuffers.bytes = ensureBuffer(inputBuffers.bytes, Uint8Array, levels.length);
+    for (let i = 0; i < levels.length; i++) bytes[i] = Math.round(levels[i] * 255);
+    return bytes;
+}
+
+// Tool bar row with the input pickers
+function setupInputModes() {
+    const bar = document.createElement('div');
+    bar.className = 'tool-bar';
+    bar.innerHTML = `
+        <span class="tool-label">Input</span>
+        <select data-setting="mode"></select>
+        <select data-setting="bands" disabled></select>
+        <select data-setting="bandCount" disabled></select>
+    `;
+    getToolbar().appendChild(bar);
+
+    const mode = bar.querySelector('[data-setting="mode"]');
+    const bands = bar.querySelector('[data-setting="bands"]');
+    const bandCount = bar.querySelector('[data-setting="bandCount"]');
+    Object.keys(INPUT_MODES).forEach(key => mode.add(new Option(INPUT_MODES[key], key)));
+    Object.keys(BAND_MODES).forEach(key => bands.add(new Option(BAND_MODES[key], key)));
+    BAND_COUNTS.forEach(n => bandCount.add(new Option(`${n} bands`, n)));
+
+    function sync() {
+        mode.value = inputSettings.mode;
+        bands.value = inputSettings.bands;
+        bandCount.value = inputSettings.bandCount;
+        bands.disabled = inputSettings.mode === 'time';
+        bandCount.disabled = bands.disabled || inputSettings.bands === 'none';
+    }
+    mode.addEventListener('change', () => { inputSettings.mode = mode.value; sync(); });
+    bands.addEventListener('change', () => { inputSettings.bands = bands.value; sync(); });
+    bandCount.addEventListener('change', () => { inputSettings.bandCount = parseInt(bandCount.value); sync(); });
+    sync();
+
+    return { sync };
+}
+
+const inputModeControls = setupInputModes();
@@ -0,0 +1,99 @@
+// Engine Benchmark
+// Times step() (engine.js) on every level at the grid sizes the cube grid
+// gets at common window sizes (24px cells). Only the simulation is timed, not
+// drawing. Each run is seeded, so the data and rules behave the same every time.
+
+const BENCH_SIZES = [
+    { label: '960×540', cols: 40, rows: 22 },
+    { label: '1920×1080', cols: 80, rows: 45 },
+    { label: '2560×1440', cols: 106, rows: 60 },
+    { label: '3840×2160', cols: 160, rows: 90 }
+];
+const BENCH_WARMUP = 20; // Untimed frames first, so the JIT has settled
+const BENCH_FRAMES = 120;
+const BENCH_SEED = 40;
+const BENCH_DATA_LENGTH = 1024;
+const FRAME_BUDGET = 1000 / 60; // ms
+
+// The page's defaults: the level sliders (engine.js) and script-4.js DEFAULT_RULES
+const BENCH_PARAMS = defaultLevels();
+const BENCH_RULES = [
+    'd > loudThreshold -> on',
+    'd < quietThreshold -> off',
+    'd > flipMin and d < flipMax and random > flipChance -> flip'
+].join('\n');
+
+const table = document.getElementById('results');
+const statusLabel = document.getElementById('status');
+const runBtn = document.getElementById('run');
+
+// Frame times in ms for one grid size on one level
+function benchLevel(size, level) {
+    seedRandom(BENCH_SEED);
+    const state = createState({ cols: size.cols, rows: size.rows, random: () => random() });
+    const { rules } = compileRules(BENCH_RULES, { params: BENCH_PARAMS.level5, random: () => random() });
+    const params = {
+        level,
+        levels: BENCH_PARAMS,
+        rules,
+        evalMode: 'first',
+        dataMapping: 'wrap',
+        features: {},
+        lifeRule: parseLifeRule(DEFAULT_LIFE_RULE),
+        now: 0
+    };
+    const data = new Float32Array(BENCH_DATA_LENGTH);
+    const times = new Float64Array(BENCH_FRAMES);
+
+    for (let f = -BENCH_WARMUP; f < BENCH_FRAMES; f++) {
+        for (let i = 0; i < data.length; i++) data[i] = random();
+        params.now = f * FRAME_BUDGET;
+        const start = performance.now();
+        step(state, data, params);
+        if (f >= 0) times[f] = performance.now() - start;
+    }
+    return times.sort();
+}
+
+function formatTimes(times) {
+    const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+    const p95 = times[Math.floor(times.length * 0.95)];
+    return { text: `${mean.toFixed(2)} / ${p95.toFixed(2)}`, over: p95 > FRAME_BUDGET };
+}
+
+function buildTable() {
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    ['Window', 'Cubes'].forEach(label => { head.insertCell().textContent = label; });
+    for (let level = 0; level < LEVEL_COUNT; level++) head.insertCell().textContent = `Level ${level}`;
+
+    const body = table.createTBody();
+    BENCH_SIZES.forEach(size => {
+        const row = body.insertRow();
+        row.insertCell().textContent = size.label;
+        row.insertCell().textContent = size.cols * size.rows;
+        for (let level = 0; level < LEVEL_COUNT; level++) row.insertCell().textContent = '…';
+    });
+}
+
+// One cell at a time, yielding in between so the table fills in as it goes
+async function runBench() {
+    runBtn.disabled = true;
+    buildTable();
+    const rows = table.tBodies[0].rows;
+    for (let s = 0; s < BENCH_SIZES.length; s++) {
+        for (let level = 0; level < LEVEL_COUNT; level++) {
+            statusLabel.textContent = `${BENCH_SIZES[s].label} · Level ${level}`;
+            await new Promise(resolve => setTimeout(resolve));
+            const result = formatTimes(benchLevel(BENCH_SIZES[s], level));
+            const cell = rows[s].cells[2 + level];
+            cell.textContent = result.text;
+            cell.classList.toggle('over-budget', result.over);
+        }
+    }
+    statusLabel.textContent = `ms per frame, mean / p95 over ${BENCH_FRAMES} frames`;
+    runBtn.disabled = false;
+}
+
+runBtn.addEventListener('click', runBench);
+buildTable();
@@ -0,0 +1,233 @@
+// Capture
+// Records what a page draws, from a tool bar row:
+//   WebM: canvas.captureStream() + MediaRecorder, with the live audio muxed in
+//   PNG:  one image per rendered frame, zipped (frame-accurate, for offline editing)
+// All of the page's canvases are composited into a single frame laid out as on
+// the page (script-1's 24 visualizers become one picture of the grid).
+// Pages call frame() at the end of each render so nothing is dropped or doubled.
+// Load after audio-file.js (uses its toolbar), before the page script.
+
+const CAPTURE_MODES = {
+    webm: 'WebM',
+    png: 'PNG Sequence'
+};
+const CAPTURE_BACKGROUND = '#000';
+const CAPTURE_MAX_FRAMES = 65535; // Plain zip (no zip64) caps the entry count
+// PNG frames are held in memory until the zip is built (the zip refers to the
+// same blobs, so that's about the peak), and plain zip sizes and offsets are
+// 32-bit: stop well before either becomes a problem
+const CAPTURE_MAX_BYTES = 1024 * 1024 * 1024;
+const ZIP_MAX_OFFSET = 0xFFFFFFFF;
+const WEBM_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+
+// CRC-32 (IEEE), as zip needs it
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Uncompressed (STORE) zip of [{ name, data: Blob, crc }] (crc: crc32() of the
+// data). PNGs are already compressed, so deflating again would only cost time,
+// and storing lets the zip reuse the blobs instead of copying them. Throws a
+// RangeError past what plain zip can address (the capture stops long before that).
+function createZip(files) {
+    if (files.length > CAPTURE_MAX_FRAMES) throw new RangeError(`Too many files for a zip: ${files.length}`);
+    const encoder = new TextEncoder();
+    const DOS_DATE = (1 << 5) | 1; // 1980-01-01, the zip epoch; frame numbers carry the order
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const size = file.data.size;
+        const crc = file.crc;
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true); // Local file header signature
+        header.setUint16(4, 20, true); // Version needed: 2.0
+        header.setUint16(12, DOS_DATE, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, size, true); // Compressed size (stored = same)
+        header.setUint32(22, size, true);
+        header.setUint16(26, name.length, true);
+        local.push(header, name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true); // Central directory signature
+        entry.setUint16(4, 20, true); // Version made by
+        entry.setUint16(6, 20, true); // Version needed
+        entry.setUint16(14, DOS_DATE, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, size, true);
+        entry.setUint32(24, size, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true); // Where the local header starts
+        central.push(entry, name);
+
+        offset += 30 + name.length + size;
+        if (offset > ZIP_MAX_OFFSET) throw new RangeError('Too large for a zip (4 GB)');
+    });
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true); // End of central directory signature
+    end.setUint16(8, files.length, true); // Entries on this disk
+    end.setUint16(10, files.length, true); // Entries in total
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true); // Central directory offset
+    return new Blob([...local, ...central, end], { type: 'application/zip' });
+}
+
+// e.g. day-40-1-2025-01-31T20-15-00
+const captureName = () => {
+    const page = location.pathname.split('/').pop().replace(/\.html$/, '') || 'index';
+    return `day-40-${page}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}`;
+};
+
+// Tool bar row with the mode picker and the record toggle.
+// getAudioNode() -> the node carrying the page's audio (its analyser), or undefined before audio starts.
+// Returns { frame() }, to be called once per rendered frame.
+function setupCapture(getAudioNode) {
+    const bar = document.createElement('div');
+    bar.className = 'tool-bar';
+    bar.innerHTML = `
+        <span class="tool-label">Capture</span>
+        <select data-action="mode"></select>
+        <button data-action="record">[Record]</button>
+        <span class="tool-label" data-role="status"></span>
+    `;
+    getToolbar().appendChild(bar);
+
+    const modeSelect = bar.querySelector('[data-action="mode"]');
+    const recordBtn = bar.querySelector('[data-action="record"]');
+    const status = bar.querySelector('[data-role="status"]');
+    Object.keys(CAPTURE_MODES).forEach(key => modeSelect.add(new Option(CAPTURE_MODES[key], key)));
+    if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+        modeSelect.querySelector('[value="webm"]').disabled = true;
+        modeSelect.value = 'png';
+    }
+
+    // Composite target, sized to the canvases' bounding box when recording starts
+    const composite = document.createElement('canvas');
+    const compositeCtx = composite.getContext('2d');
+    let origin = { x: 0, y: 0 };
+    let recording = null; // { mode, recorder?, chunks?, frames?, bytes? }
+
+    // Canvases in page coordinates, so scrolling mid-recording doesn't move them
+    function pageRects() {
+        return [...document.querySelectorAll('canvas')].map(canvas => {
+            const rect = canvas.getBoundingClientRect();
+            return { canvas, x: rect.left + window.scrollX, y: rect.top + window.scrollY, w: rect.width, h: rect.height };
+        }).filter(r => r.w > 0 && r.h > 0);
+    }
+
+    function layout() {
+        const rects = pageRects();
+        const left = Math.min(...rects.map(r => r.x));
+        const top = Math.min(...rects.map(r => r.y));
+        composite.width = Math.round(Math.max(...rects.map(r => r.x + r.w)) - left);
+        composite.height = Math.round(Math.max(...rects.map(r => r.y + r.h)) - top);
+        origin = { x: left, y: top };
+    }
+
+    function compose() {
+        compositeCtx.fillStyle = CAPTURE_BACKGROUND;
+        compositeCtx.fillRect(0, 0, composite.width, composite.height);
+        pageRects().forEach(r => compositeCtx.drawImage(r.canvas, r.x - origin.x, r.y - origin.y, r.w, r.h));
+    }
+
+    function startWebm() {
+        const stream = composite.captureStream();
+        const node = getAudioNode();
+        if (node) {
+            // Analysers pass their input through, so tapping them records what they analyse
+            const destination = node.context.createMediaStreamDestination();
+            node.connect(destination);
+            destination.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+            recording.audio = { node, destination };
+        }
+        const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const chunks = recording.chunks = [];
+        recording.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        recording.recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+        recording.recorder.start(1000);
+    }
+
+    function stopWebm(done) {
+        const { recorder, chunks, audio } = done;
+        recorder.onstop = () => {
+            if (audio) audio.node.disconnect(audio.destination);
+            downloadBlob(`${captureName()}.webm`, new Blob(chunks, { type: recorder.mimeType || 'video/webm' }));
+            status.textContent = '';
+        };
+        recorder.stop();
+    }
+
+    async function stopPng(done, note) {
+        status.textContent = 'Zipping…';
+        const files = [];
+        for (let i = 0; i < done.frames.length; i++) {
+            const blob = await done.frames[i];
+            if (!blob) continue;
+            // Only one frame's bytes at a time, for its CRC
+            const crc = crc32(new Uint8Array(await blob.arrayBuffer()));
+            files.push({ name: `frame_${String(i + 1).padStart(5, '0')}.png`, data: blob, crc });
+        }
+        downloadBlob(`${captureName()}.zip`, createZip(files));
+        status.textContent = note; // Why it stopped, when it wasn't the button
+    }
+
+    function start() {
+        layout();
+        if (composite.width === 0 || composite.height === 0) return;
+        recording = { mode: modeSelect.value, frames: [], bytes: 0 };
+        if (recording.mode === 'webm') startWebm();
+        modeSelect.disabled = true;
+        recordBtn.textContent = '[Stop]';
+    }
+
+    function stop(note = '') {
+        const done = recording;
+        recording = null;
+        modeSelect.disabled = false;
+        recordBtn.textContent = '[Record]';
+        if (done.mode === 'webm') stopWebm(done);
+        else stopPng(done, note).catch(e => { status.textContent = `Could not save the capture: ${e.message}`; });
+    }
+
+    recordBtn.addEventListener('click', () => (recording ? stop() : start()));
+
+    return {
+        frame() {
+            if (!recording) return;
+            compose();
+            if (recording.mode === 'png') {
+                // toBlob copies the pixels now, encoding finishes later
+                const target = recording;
+                target.frames.push(new Promise(resolve => composite.toBlob(blob => {
+                    if (blob) target.bytes += blob.size;
+                    resolve(blob);
+                }, 'image/png')));
+                const count = target.frames.length;
+                const megabytes = Math.round(target.bytes / (1024 * 1024));
+                status.textContent = `${count} frames, ${megabytes} MB`;
+                if (count >= CAPTURE_MAX_FRAMES) stop(`Stopped at the ${CAPTURE_MAX_FRAMES} frame limit`);
+                else if (target.bytes >= CAPTURE_MAX_BYTES) stop(`Stopped at ${megabytes} MB (${count} frames), the PNG limit`);
+            } else {
+                status.textContent = '● REC';
+            }
+        }
+    };
+}
@@ -0,0 +1,830 @@
+// Simulation Engine
+// The cube grid with no browser attached: grid state, the level mappings, the
+// rules engine and its actions. script-4.js is the adapter that feeds it data
+// and draws the result; test/engine.test.js runs it in Node.
+//
+//   const state = createState({ cols, rows, topology, random });
+//   step(state, data, params); // One frame, state is updated in place and returned
+//
+// data is the frame's normalized 0-1 samples (any length). params holds
+// everything else a frame depends on:
+//   { level, levels (PARAMS), rules (in evaluation order), evalMode,
+//     dataMapping, features, lifeRule (Level 8), now (ms, stamps traces) }
+// Nothing here reads the DOM, the clock or a global random: randomness comes
+// from state.random (and the random passed to compileRules), so a seeded
+// generator makes runs repeatable.
+//
+// Per-cube state is struct-of-arrays: one typed buffer per field in
+// state.buffers, indexed by cube.index. Cubes are views over those buffers
+// (cube.value reads state.buffers.value[cube.index]), so rules, drawing and the
+// inspector keep working with cube objects while step() runs over flat arrays.
+// step() allocates no buffers per frame; only rule conditions can create garbage
+// (min/max take their arguments as an array, as does a call with three or more).
+//
+// In pages this is a plain script (load after rules-grammar.js); in Node,
+// require('./engine.js').
+
+const ruleGrammar = typeof require === 'function' ? require('./rules-grammar.js') : globalThis;
+
+const SUBDIVISIONS = 3; // 'subdivide' turns a cube into a 3×3 inner grid
+const LEVEL_COUNT = 9;
+const RIPPLE_LENGTH = 1024; // frameOffset wraps here
+
+// Every level's parameters at their defaults, the params.levels step() expects.
+// The page's PARAMS, the benchmark and the tests all start from a copy.
+const LEVEL_DEFAULTS = {
+    level0: { threshold: 0.1 },
+    level1: { opacityGain: 8.0 },
+    level2: { smoothing: 0.125, threshold: 0.1 },
+    level3: { probabilityScale: 0.5 },
+    level4: { threshold: 0.1 },
+    level5: {
+        loudThreshold: 0.7,
+        quietThreshold: 0.01,
+        flipMin: 0.4,
+        flipMax: 0.6,
+        flipChance: 0.9,
+        rippleSpeed: 1,
+        subdivideThreshold: 0.3,
+        historyFrames: 16
+    },
+    level6: { threshold: 0.1, speed: 1, opacityGain: 1 },
+    level7: { activeThreshold: 0.5, inactiveThreshold: 0.5, neighborLimit: 2, sparkThreshold: 0.9 },
+    level8: { injectThreshold: 0.95, boostThreshold: 0.7 }
+};
+
+// A fresh copy, safe to change
+const defaultLevels = () => JSON.parse(JSON.stringify(LEVEL_DEFAULTS));
+
+const lerp = (start, end, amt) => (1 - amt) * start + amt * end;
+
+// Grid Topologies
+// neighborhood: 4 (von Neumann), 8 (Moore) or 6 (hex). wrap joins opposite edges (torus).
+// Hex grids are pointy-top with odd rows shifted right by half a cell.
+const TOPOLOGIES = {
+    square4: { label: 'Square · 4', hex: false, neighborhood: 4, wrap: false },
+    square8: { label: 'Square · 8', hex: false, neighborhood: 8, wrap: false },
+    torus4: { label: 'Torus · 4', hex: false, neighborhood: 4, wrap: true },
+    torus8: { label: 'Torus · 8', hex: false, neighborhood: 8, wrap: true },
+    hex: { label: 'Hex · 6', hex: true, neighborhood: 6, wrap: false },
+    hexTorus: { label: 'Hex Torus · 6', hex: true, neighborhood: 6, wrap: true }
+};
+const TOPOLOGY_KEYS = Object.keys(TOPOLOGIES);
+
+const NEIGHBOR_DIRS = {
+    4: [[0, -1], [0, 1], [-1, 0], [1, 0]],
+    8: [[0, -1], [0, 1], [-1, 0], [1, 0], [-1, -1], [1, -1], [-1, 1], [1, 1]]
+};
+// Offset coordinates: the diagonal neighbors depend on whether the row is shifted
+const HEX_DIRS = {
+    even: [[1, 0], [-1, 0], [-1, -1], [0, -1], [-1, 1], [0, 1]],
+    odd: [[1, 0], [-1, 0], [0, -1], [1, -1], [0, 1], [1, 1]]
+};
+
+// Data Mappings: where in the data each cube reads (see mapPositions)
+//   wrap:    row-major, cube.index % length
+//   columns: one sample per column across the whole buffer (spectrum bands as columns)
+//   stretch: the whole buffer spread row-major over the grid, interpolating between samples
+//   spiral:  the buffer fitted along a square spiral out from the center
+//   hilbert: the buffer fitted along a Hilbert curve, so nearby samples stay nearby in 2D
+// The fitted mappings read fractional positions, blending the two samples around them.
+const DATA_MAPPINGS = {
+    wrap: 'Wrap',
+    columns: 'Columns',
+    stretch: 'Stretch',
+    spiral: 'Spiral',
+    hilbert: 'Hilbert'
+};
+const DATA_MAPPING_KEYS = Object.keys(DATA_MAPPINGS);
+
+// Level Transitions: how the grid goes from the old level's last frame to the
+// new level (see startTransition)
+//   cut:       straight to the new level
+//   crossfade: values blend over; each cube's state switches at its own random moment
+//   wipe:      column by column, left to right
+//   dissolve:  cube by cube, in random order
+//   morph:     like dissolve, but a cube also switches once half its neighbors have,
+//              so patches of the new level grow outward
+const TRANSITIONS = {
+    cut: 'Cut',
+    crossfade: 'Crossfade',
+    wipe: 'Wipe',
+    dissolve: 'Dissolve',
+    morph: 'Morph'
+};
+const TRANSITION_KEYS = Object.keys(TRANSITIONS);
+
+// Per-cube history: ring buffer of the last N frames' values and states.
+// value(k) / state(k) read k frames back (1 = the previous frame).
+class CubeHistory {
+    constructor(length) {
+        this.values = new Float32Array(length);
+        this.states = new Uint8Array(length);
+        this.head = -1; // Slot of the most recent frame
+        this.count = 0; // Frames recorded so far, up to length
+    }
+
+    get length() {
+        return this.values.length;
+    }
+
+    push(value, state) {
+        this.head = (this.head + 1) % this.length;
+        this.values[this.head] = value;
+        this.states[this.head] = state ? 1 : 0;
+        this.count = Math.min(this.count + 1, this.length);
+    }
+
+    slot(k) {
+        // Beyond what's recorded (or the buffer length) reads the oldest frame we have
+        const back = Math.min(Math.max(Math.floor(k), 1), this.count) - 1;
+        return (this.head - back + this.length) % this.length;
+    }
+
+    value(k = 1) {
+        return this.count ? this.values[this.slot(k)] : 0;
+    }
+
+    state(k = 1) {
+        return this.count ? this.states[this.slot(k)] === 1 : false;
+    }
+
+    // Same frames in a buffer of a new length, keeping the most recent ones
+    resize(length) {
+        const next = new CubeHistory(length);
+        for (let k = Math.min(this.count, length); k >= 1; k--) {
+            next.push(this.value(k), this.state(k));
+        }
+        return next;
+    }
+}
+
+// The typed buffers behind every cube, one entry per cube
+const CUBE_BUFFERS = {
+    value: Float32Array,
+    prevValue: Float32Array,
+    state: Uint8Array, // 1 = on
+    prevState: Uint8Array, // for detecting transitions
+    traceTime: Float64Array, // timestamp when cube turned off
+    age: Uint32Array, // Frames since the state last changed
+    onStreak: Uint32Array, // Consecutive frames on (0 while off)
+    offStreak: Uint32Array, // Consecutive frames off (0 while on)
+    dataIndex: Uint32Array, // Sample read this frame (for the inspector)
+    sample: Float32Array, // Its value (interpolated on the fitted mappings), what rules see as d
+    // What gets drawn. Levels never read these, so a transition can mix the old
+    // frame in here without touching the state the new level carries on from.
+    shownValue: Float32Array, // value (sample on Level 5, where value belongs to the rules)
+    shownState: Uint8Array // state; both hold the mix while a transition runs
+};
+
+function createBuffers(count) {
+    const buffers = {};
+    Object.keys(CUBE_BUFFERS).forEach(name => { buffers[name] = new CUBE_BUFFERS[name](count); });
+    return buffers;
+}
+
+// One cell of the grid. The numeric state lives in the shared buffers, the
+// accessors below read and write this cube's slot.
+class Cube {
+    constructor(index, c, r, level, historyFrames, buffers) {
+        this.index = index; // Linear index within the full grid
+        this.buffers = buffers;
+        this.x = 0; // Pixel position, set by whoever draws the grid
+        this.y = 0;
+        this.c = c; // column index
+        this.r = r; // row index
+        this.level = level; // Level this cube belongs to
+        this.mode = 'solid'; // How an on-cube renders: 'solid' | 'scatter' | 'subdivide'
+        this.sub = null; // Inner sub-grid states while subdivided
+        this.neighbors = []; // Adjacent cubes under the current topology
+        this.history = new CubeHistory(historyFrames);
+        this.lastRule = null; // Last Level 5 rule that fired on this cube
+        this.lastRuleFrame = 0;
+    }
+
+    get value() { return this.buffers.value[this.index]; }
+    set value(v) { this.buffers.value[this.index] = v; }
+    get prevValue() { return this.buffers.prevValue[this.index]; }
+    set prevValue(v) { this.buffers.prevValue[this.index] = v; }
+    get state() { return this.buffers.state[this.index] === 1; }
+    set state(on) { this.buffers.state[this.index] = on ? 1 : 0; }
+    get prevState() { return this.buffers.prevState[this.index] === 1; }
+    set prevState(on) { this.buffers.prevState[this.index] = on ? 1 : 0; }
+    get traceTime() { return this.buffers.traceTime[this.index]; }
+    set traceTime(t) { this.buffers.traceTime[this.index] = t; }
+    get age() { return this.buffers.age[this.index]; }
+    set age(n) { this.buffers.age[this.index] = n; }
+    get onStreak() { return this.buffers.onStreak[this.index]; }
+    set onStreak(n) { this.buffers.onStreak[this.index] = n; }
+    get offStreak() { return this.buffers.offStreak[this.index]; }
+    set offStreak(n) { this.buffers.offStreak[this.index] = n; }
+    get dataIndex() { return this.buffers.dataIndex[this.index]; }
+    set dataIndex(i) { this.buffers.dataIndex[this.index] = i; }
+    get sample() { return this.buffers.sample[this.index]; }
+    set sample(v) { this.buffers.sample[this.index] = v; }
+    get shownValue() { return this.buffers.shownValue[this.index]; }
+    get shownState() { return this.buffers.shownState[this.index] === 1; }
+}
+
+// A fresh grid. options: { cols, rows, topology, level, historyFrames, random }.
+// Pass the previous state to carry on from it: a resize or new cell size keeps
+// the frame counters and what every cube was doing (see carryCubes).
+function createState(options, previous) {
+    const { cols, rows, topology = 'square4', level = 0, historyFrames = 16, random = Math.random } = options;
+    const buffers = createBuffers(rows * cols);
+    const cubes = [];
+    for (let i = 0; i < rows * cols; i++) {
+        cubes.push(new Cube(i, i % cols, Math.floor(i / cols), level, historyFrames, buffers));
+    }
+    const state = {
+        cols,
+        rows,
+        topology,
+        cubes,
+        buffers,
+        random,
+        frameCount: previous ? previous.frameCount : 0, // Frames stepped
+        frameOffset: previous ? previous.frameOffset : 0, // Time-varying offset for the Level 5 ripple
+        appliedOffset: previous ? previous.appliedOffset : 0, // frameOffset the last step read with
+        invertPending: false, // 'invert' swaps the whole grid once, after the rules pass
+        mapping: { name: '', length: 0, positions: null }, // mapPositions() cache
+        transition: null // Level change in progress (startTransition)
+    };
+    cubes.forEach(cube => { cube.neighbors = findNeighbors(state, cube); });
+    if (previous && previous.cubes.length > 0) carryCubes(state, previous);
+    return state;
+}
+
+// Each new cube copies the old cube at the same relative position in the grid
+function carryCubes(state, previous) {
+    const names = Object.keys(CUBE_BUFFERS);
+    state.cubes.forEach(cube => {
+        const c = Math.min(Math.floor((cube.c + 0.5) * previous.cols / state.cols), previous.cols - 1);
+        const r = Math.min(Math.floor((cube.r + 0.5) * previous.rows / state.rows), previous.rows - 1);
+        const old = previous.cubes[r * previous.cols + c];
+        names.forEach(name => { state.buffers[name][cube.index] = previous.buffers[name][old.index]; });
+        cube.mode = old.mode;
+        cube.sub = old.sub && old.sub.slice();
+        cube.history = old.history.resize(old.history.length);
+        cube.lastRule = old.lastRule;
+        cube.lastRuleFrame = old.lastRuleFrame;
+    });
+}
+
+function findNeighbors(state, cube) {
+    const { cols, rows, cubes } = state;
+    const topo = TOPOLOGIES[state.topology];
+    const dirs = topo.hex ? HEX_DIRS[cube.r % 2 ? 'odd' : 'even'] : NEIGHBOR_DIRS[topo.neighborhood];
+    const found = new Set();
+    for (let [dx, dy] of dirs) {
+        let nc = cube.c + dx;
+        let nr = cube.r + dy;
+        if (topo.wrap) {
+            nc = (nc + cols) % cols;
+            nr = (nr + rows) % rows;
+        } else if (nc < 0 || nc >= cols || nr < 0 || nr >= rows) {
+            continue;
+        }
+        const idx = nr * cols + nc;
+        if (idx !== cube.index) found.add(cubes[idx]); // Tiny wrapped grids can reach themselves
+    }
+    return [...found];
+}
+
+// Cube indices in the order a square spiral out from the center visits them
+function spiralOrder(cols, rows) {
+    const dirs = [[1, 0], [0, 1], [-1, 0], [0, -1]]; // right, down, left, up
+    const order = [];
+    let c = Math.floor((cols - 1) / 2);
+    let r = Math.floor((rows - 1) / 2);
+    let dir = 0;
+    // Legs grow every second turn: 1, 1, 2, 2, 3, 3, ... Off-grid steps are skipped
+    for (let run = 1; order.length < cols * rows; run++) {
+        for (let leg = 0; leg < 2; leg++) {
+            for (let k = 0; k < run; k++) {
+                if (c >= 0 && c < cols && r >= 0 && r < rows) order.push(r * cols + c);
+                c += dirs[dir][0];
+                r += dirs[dir][1];
+            }
+            dir = (dir + 1) % 4;
+        }
+    }
+    return order;
+}
+
+// Cube indices in Hilbert curve order. The curve fills the smallest power-of-two
+// square around the grid; the parts outside are skipped.
+function hilbertOrder(cols, rows) {
+    let n = 1;
+    while (n < cols || n < rows) n *= 2;
+    const order = [];
+    for (let d = 0; d < n * n; d++) {
+        // d -> (x, y), one quadrant level at a time
+        let x = 0;
+        let y = 0;
+        let t = d;
+        for (let s = 1; s < n; s *= 2) {
+            const rx = 1 & (t >> 1);
+            const ry = 1 & (t ^ rx);
+            if (ry === 0) {
+                if (rx === 1) {
+                    x = s - 1 - x;
+                    y = s - 1 - y;
+                }
+                [x, y] = [y, x];
+            }
+            x += s * rx;
+            y += s * ry;
+            t >>= 2;
+        }
+        if (x < cols && y < rows) order.push(y * cols + x);
+    }
+    return order;
+}
+
+// Where each cube reads in data of this length, by cube index. Positions can be
+// fractional (see readSample). Cached on the state until the mapping or length changes.
+function mapPositions(state, length, dataMapping) {
+    const cache = state.mapping;
+    if (cache.name === dataMapping && cache.length === length) return cache.positions;
+
+    const { cols, rows } = state;
+    const count = cols * rows;
+    const positions = new Float64Array(count);
+    // First cube on the first sample, last cube on the last
+    const fit = (rank) => (count > 1 ? rank * (length - 1) / (count - 1) : 0);
+    switch (dataMapping) {
+        case 'columns':
+            for (let i = 0; i < count; i++) positions[i] = Math.floor(i % cols * length / cols);
+            break;
+        case 'stretch':
+            for (let i = 0; i < count; i++) positions[i] = fit(i);
+            break;
+        case 'spiral':
+            spiralOrder(cols, rows).forEach((index, rank) => { positions[index] = fit(rank); });
+            break;
+        case 'hilbert':
+            hilbertOrder(cols, rows).forEach((index, rank) => { positions[index] = fit(rank); });
+            break;
+        default: // wrap
+            for (let i = 0; i < count; i++) positions[i] = i % length;
+    }
+    state.mapping = { name: dataMapping, length, positions };
+    return positions;
+}
+
+// The data at a position, blending linearly between samples (wrapping at the end)
+function readSample(data, position) {
+    const i = Math.floor(position);
+    const frac = position - i;
+    const a = data[i % data.length];
+    return frac === 0 ? a : lerp(a, data[(i + 1) % data.length], frac);
+}
+
+// on: which states to count, this frame's by default
+function countOnNeighbors(cube, on = cube.buffers.state) {
+    let count = 0;
+    for (let neighbor of cube.neighbors) count += on[neighbor.index];
+    return count;
+}
+
+// Rules Engine
+// Rules are written in the grammar from rules-grammar.js.
+// Actions: 'on', 'off', 'flip', 'scatter', 'decay', 'propagate', 'invert', 'subdivide'
+const ACTIONS = ['on', 'off', 'flip', 'scatter', 'decay', 'propagate', 'invert', 'subdivide'];
+
+// Names a rule condition can use, besides random and the params given to compileRules
+const RULE_VARIABLES = {
+    d: (c) => c.sample, // This cube's sample
+    v: (c) => c.value,
+    s: (c) => (c.state ? 1 : 0),
+    n: (c, d, n) => n, // On-neighbors
+    onStreak: (c) => c.onStreak,
+    offStreak: (c) => c.offStreak,
+    age: (c) => c.age
+};
+
+// Audio features (the keys of audio-features.js's `features`). Usable as plain
+// names or called like seed4.md's `entropy(d)`; the argument is ignored,
+// features always describe the whole frame.
+const FEATURE_NAMES = ['rms', 'amplitude', 'peak', 'zcr', 'entropy', 'centroid', 'flux', 'onset', 'beat'];
+FEATURE_NAMES.forEach(name => { RULE_VARIABLES[name] = (c, d, n, f) => f[name]; });
+
+// hist(k): value k frames ago, wasOn(k): 1 if the cube was on k frames ago
+const RULE_FUNCTIONS_EXTRA = {
+    hist: (c, d, n, f, k = 1) => c.history.value(k),
+    wasOn: (c, d, n, f, k = 1) => (c.history.state(k) ? 1 : 0)
+};
+FEATURE_NAMES.forEach(name => { RULE_FUNCTIONS_EXTRA[name] = (c, d, n, f) => f[name]; });
+
+// Evaluation modes: which rules fire for a cube
+const EVAL_MODES = {
+    first: 'First Match', // First matching rule, in the order written
+    priority: 'Priority', // First matching rule, highest priority first
+    stack: 'Stack' // Every matching rule fires, highest priority first
+};
+const EVAL_MODE_KEYS = Object.keys(EVAL_MODES);
+
+// Parses a rule set. env: { params, random }: unknown names are looked up in
+// params when a rule runs (so live slider changes apply), random is the
+// generator behind the `random` name. Returns { rules, errors } like parseRules.
+function compileRules(text, env = {}) {
+    const params = env.params || {};
+    const random = env.random || Math.random;
+    // Own keys only, so names like `constructor` stay unknown
+    const has = (object, name) => Object.prototype.hasOwnProperty.call(object, name);
+    const lookup = (name) => {
+        if (has(RULE_VARIABLES, name)) return RULE_VARIABLES[name];
+        if (name === 'random') return () => random();
+        if (has(params, name)) return () => params[name];
+    };
+    const parsed = ruleGrammar.parseRules(text, { actions: ACTIONS, lookup, functions: RULE_FUNCTIONS_EXTRA });
+    parsed.rules.forEach(r => { r.fires = 0; });
+    return parsed;
+}
+
+// The order a mode evaluates rules in
+function orderRules(rules, evalMode) {
+    const order = rules.slice();
+    // Array.sort is stable, so equal priorities keep their written order
+    if (evalMode !== 'first') order.sort((a, b) => b.priority - a.priority);
+    return order;
+}
+
+// Begins a transition away from what the grid shows now. Call it when the level
+// changes, before the new level's first step(); now is in the same ms as params.now.
+// Until it ends, step() shows each cube's frozen old value and state until the cube
+// switches over, and cubes that go off on switching leave a trace like any other.
+// Only the shown buffers are mixed: the new level runs on its own state from its
+// first frame. Progress follows now, so like trace fades it is wall-clock time.
+function startTransition(state, kind, duration, now) {
+    if (kind === 'cut' || !(duration > 0)) {
+        state.transition = null;
+        return;
+    }
+    const { cols, cubes, buffers } = state;
+    // When each cube switches, as a fraction of the duration
+    const at = new Float32Array(cubes.length);
+    if (kind === 'wipe') {
+        for (let i = 0; i < at.length; i++) at[i] = (i % cols + 1) / (cols + 1);
+    } else {
+        // Drawn once here, so a seeded run takes the same draws whatever the frame rate
+        for (let i = 0; i < at.length; i++) at[i] = state.random();
+    }
+    state.transition = {
+        kind,
+        start: now,
+        duration,
+        value: buffers.shownValue.slice(),
+        state: buffers.shownState.slice(),
+        at,
+        switched: new Uint8Array(cubes.length),
+        ready: new Uint8Array(cubes.length) // morph: half the neighbors have switched
+    };
+}
+
+// Mixes the new level's frame (current: its value or sample, and state) with the
+// frozen old one into the shown buffers, leaving traces where a shown cube goes
+// off. Returns false, and does nothing, once the transition is over.
+function applyTransition(state, current, now) {
+    const transition = state.transition;
+    const t = Math.min((now - transition.start) / transition.duration, 1);
+    const { cubes } = state;
+    const { state: on, shownValue, shownState, traceTime } = state.buffers;
+    const { kind, at, switched, ready } = transition;
+
+    if (t >= 1) {
+        state.transition = null;
+        return false;
+    }
+    if (kind === 'morph') {
+        // Counted before anyone switches this frame, so the front moves a cube per frame
+        for (let i = 0; i < cubes.length; i++) {
+            const count = countOnNeighbors(cubes[i], switched);
+            ready[i] = count > 0 && count * 2 >= cubes[i].neighbors.length ? 1 : 0;
+        }
+        for (let i = 0; i < cubes.length; i++) {
+            if (t >= at[i] || ready[i]) switched[i] = 1;
+        }
+    } else if (kind !== 'crossfade') {
+        for (let i = 0; i < cubes.length; i++) switched[i] = t >= at[i] ? 1 : 0;
+    }
+
+    for (let i = 0; i < cubes.length; i++) {
+        let v = current[i];
+        let s = on[i];
+        if (kind === 'crossfade') {
+            v = lerp(transition.value[i], v, t);
+            if (t < at[i]) s = transition.state[i];
+        } else if (!switched[i]) {
+            v = transition.value[i];
+            s = transition.state[i];
+        }
+        if (shownState[i] && !s) traceTime[i] = now;
+        shownValue[i] = v;
+        shownState[i] = s;
+    }
+    return true;
+}
+
+// Life-like Rules (Level 8)
+// B/S notation: the neighbor counts that bring a dead cube to life (B) and keep a
+// live one alive (S). Any count the topology allows works, so hex grids get 0-6.
+const LIFE_RULES = {
+    'B3/S23': 'Life',
+    'B36/S23': 'HighLife',
+    'B2/S': 'Seeds',
+    'B3678/S34678': 'Day & Night',
+    'B3/S12345': 'Maze',
+    'B1357/S1357': 'Replicator'
+};
+const DEFAULT_LIFE_RULE = 'B3/S23';
+
+// "B36/S23" (or "S23/B36", any case) -> { birth, survive } as bitmasks, bit n
+// for n neighbors. Returns null if the text isn't a rule.
+function parseLifeRule(text) {
+    const match = /^\s*([BS])([0-8]*)\s*\/\s*([BS])([0-8]*)\s*$/i.exec(text);
+    if (!match || match[1].toUpperCase() === match[3].toUpperCase()) return null;
+    const mask = (digits) => Array.from(digits).reduce((bits, n) => bits | (1 << n), 0);
+    const birthFirst = match[1].toUpperCase() === 'B';
+    return {
+        birth: mask(birthFirst ? match[2] : match[4]),
+        survive: mask(birthFirst ? match[4] : match[2])
+    };
+}
+
+const CONWAY = parseLifeRule(DEFAULT_LIFE_RULE);
+
+// One frame. See the top of the file for params.
+function step(state, data, params) {
+    const { level, levels } = params;
+    const { cubes } = state;
+    const { value, prevValue, state: on, prevState, traceTime, age, onStreak, offStreak, dataIndex, sample, shownValue, shownState } = state.buffers;
+    const count = cubes.length;
+    const length = data.length;
+    const random = state.random;
+    state.frameCount++;
+
+    // Since grid might be larger than data, we wrap or spread it (see DATA_MAPPINGS).
+    // Level 5 reads with a time-varying offset for its ripple effect.
+    const positions = mapPositions(state, length, params.dataMapping);
+    const offset = level === 5 ? state.frameOffset : 0;
+    for (let i = 0; i < count; i++) {
+        const position = positions[i] + offset;
+        dataIndex[i] = Math.floor(position) % length;
+        sample[i] = readSample(data, position);
+    }
+
+    // Save history first
+    prevValue.set(value);
+
+    switch (level) {
+        case 0: { // Direct threshold
+            const threshold = levels.level0.threshold;
+            for (let i = 0; i < count; i++) {
+                value[i] = sample[i];
+                on[i] = value[i] > threshold ? 1 : 0;
+            }
+            break;
+        }
+
+        case 1: // Opacity (mapped to value)
+            for (let i = 0; i < count; i++) value[i] = sample[i];
+            on.fill(1); // Always on, alpha handles visibility
+            break;
+
+        case 2: { // Smoothed threshold
+            const { smoothing, threshold } = levels.level2;
+            for (let i = 0; i < count; i++) {
+                value[i] = lerp(value[i], sample[i], smoothing);
+                on[i] = value[i] > threshold ? 1 : 0;
+            }
+            break;
+        }
+
+        case 3: { // Probabilistic
+            const scale = levels.level3.probabilityScale;
+            for (let i = 0; i < count; i++) {
+                value[i] = sample[i];
+                on[i] = random() < value[i] * scale ? 1 : 0;
+            }
+            break;
+        }
+
+        case 4: { // Entropy scatter (approximated)
+            const threshold = levels.level4.threshold;
+            for (let i = 0; i < count; i++) {
+                dataIndex[i] = Math.floor(random() * length);
+                sample[i] = data[dataIndex[i]];
+                value[i] = sample[i];
+                on[i] = value[i] > threshold ? 1 : 0;
+            }
+            break;
+        }
+
+        case 5: // Expression grammar (Rules Engine)
+            stepRules(state, data, params);
+            break;
+
+        case 6: // Spectrogram (time along x)
+            stepSpectrogram(state, data, params);
+            break;
+
+        case 7: // Neighborhood
+            stepNeighborhood(state, params);
+            break;
+
+        case 8: // Life-like cellular automaton
+            stepLife(state, params);
+            break;
+    }
+
+    if (state.invertPending) {
+        for (let i = 0; i < count; i++) on[i] ^= 1;
+        state.invertPending = false;
+    }
+
+    // What gets drawn: this frame as is, or mixed with the old level's last one
+    const now = params.now || 0;
+    const shown = level === 5 ? sample : value;
+    if (!state.transition || !applyTransition(state, shown, now)) {
+        for (let i = 0; i < count; i++) {
+            // Just turned off - start trace
+            if (shownState[i] && !on[i]) traceTime[i] = now;
+        }
+        shownValue.set(shown);
+        shownState.set(on);
+    }
+
+    const historyFrames = levels.level5.historyFrames;
+    for (let i = 0; i < count; i++) {
+        age[i] = on[i] === prevState[i] ? age[i] + 1 : 0;
+        onStreak[i] = on[i] ? onStreak[i] + 1 : 0;
+        offStreak[i] = on[i] ? 0 : offStreak[i] + 1;
+
+        const cube = cubes[i];
+        if (cube.history.length !== historyFrames) cube.history = cube.history.resize(historyFrames);
+        cube.history.push(value[i], on[i]);
+    }
+    prevState.set(on);
+
+    // Increment frame offset for ripple effect
+    state.appliedOffset = state.frameOffset;
+    state.frameOffset = (state.frameOffset + levels.level5.rippleSpeed) % RIPPLE_LENGTH;
+    return state;
+}
+
+// Level 6. A waterfall: the right column is the current frame, one slice of the
+// data per row (the start of the buffer at the bottom), and every `speed` frames
+// the grid scrolls a column left. Between scrolls the right column keeps the
+// loudest sample each row has seen, so short hits still show.
+function stepSpectrogram(state, data, params) {
+    const { cols, rows } = state;
+    const { value, state: on, dataIndex, sample } = state.buffers;
+    const { threshold, speed } = params.levels.level6;
+    const length = data.length;
+    const scroll = state.frameCount % Math.max(Math.round(speed), 1) === 0;
+
+    for (let r = 0; r < rows; r++) {
+        const row = r * cols;
+        const last = row + cols - 1;
+        const band = rows - 1 - r;
+        const start = Math.floor(band * length / rows);
+        const end = Math.max(Math.floor((band + 1) * length / rows), start + 1);
+        let peak = 0;
+        for (let k = start; k < end; k++) peak = Math.max(peak, data[k]);
+
+        if (scroll) {
+            value.copyWithin(row, row + 1, row + cols);
+            value[last] = peak;
+        } else {
+            value[last] = Math.max(value[last], peak);
+        }
+        for (let i = row; i <= last; i++) {
+            dataIndex[i] = start; // Every cube in the row shows this slice, at some point in time
+            sample[i] = value[i];
+            on[i] = value[i] > threshold ? 1 : 0;
+        }
+    }
+}
+
+// Level 7, seed4.md's neighborhood mapping: a loud cube comes on once enough of
+// its neighbors are on, a quiet one with too few goes off, the rest hold. Anything
+// louder than sparkThreshold comes on by itself, or an empty grid would stay empty.
+// Neighbors are counted on last frame's grid, so cube order doesn't matter.
+function stepNeighborhood(state, params) {
+    const { cubes } = state;
+    const { value, state: on, prevState, sample } = state.buffers;
+    const { activeThreshold, inactiveThreshold, neighborLimit, sparkThreshold } = params.levels.level7;
+
+    for (let i = 0; i < cubes.length; i++) {
+        const neighbors = countOnNeighbors(cubes[i], prevState);
+        value[i] = sample[i];
+        if (value[i] > sparkThreshold) {
+            on[i] = 1;
+        } else if (value[i] > activeThreshold && neighbors >= neighborLimit) {
+            on[i] = 1;
+        } else if (value[i] < inactiveThreshold && neighbors < neighborLimit) {
+            on[i] = 0;
+        }
+    }
+}
+
+// Level 8. One generation of params.lifeRule (see parseLifeRule) over last frame's
+// grid. Audio feeds it two ways: cubes louder than injectThreshold come alive, and
+// cubes louder than boostThreshold are born and survive with one neighbor fewer
+// than the rule asks, so loud regions grow.
+function stepLife(state, params) {
+    const { cubes } = state;
+    const { value, state: on, prevState, sample } = state.buffers;
+    const { injectThreshold, boostThreshold } = params.levels.level8;
+    const { birth, survive } = params.lifeRule || CONWAY;
+
+    for (let i = 0; i < cubes.length; i++) {
+        const neighbors = countOnNeighbors(cubes[i], prevState);
+        let counts = prevState[i] ? survive : birth;
+        if (sample[i] > boostThreshold) counts |= counts >> 1; // Bit n + 1 also sets bit n
+        value[i] = sample[i];
+        on[i] = ((counts >> neighbors) & 1) || sample[i] > injectThreshold ? 1 : 0;
+    }
+}
+
+// Level 5. Rules read the frame's data as is: the `d` name and the actions use
+// cube.sample, read with the ripple offset already applied. value is left to the
+// actions (decay fades it over frames), so it carries over from frame to frame.
+function stepRules(state, data, params) {
+    const { cubes } = state;
+    const rules = params.rules;
+    const features = params.features || {};
+    const stack = params.evalMode === 'stack';
+    rules.forEach(r => { r.fires = 0; });
+
+    for (let i = 0; i < cubes.length; i++) {
+        const cube = cubes[i];
+        const neighbors = countOnNeighbors(cube);
+
+        for (let r of rules) {
+            if (r.condition(cube, data, neighbors, features)) {
+                applyAction(r.action, cube, data, state, params);
+                r.fires++;
+                cube.lastRule = r;
+                cube.lastRuleFrame = state.frameCount;
+                if (!stack) break;
+            }
+        }
+    }
+}
+
+// d is the frame's data, this cube's own sample is cube.sample
+function applyAction(action, cube, d, state, params) {
+    const sample = cube.sample;
+    switch (action) {
+        case 'on': cube.state = true; cube.mode = 'solid'; break;
+        case 'off': cube.state = false; cube.mode = 'solid'; break;
+        case 'flip': cube.state = !cube.state; cube.mode = 'solid'; break;
+        case 'scatter':
+            // On, drawn as random pixels; density follows the value
+            cube.state = true;
+            cube.mode = 'scatter';
+            cube.value = sample;
+            break;
+        case 'decay':
+            cube.value *= 0.9;
+            if (cube.value < 0.05) cube.state = false;
+            break;
+        case 'propagate': {
+            const neighbors = cube.neighbors;
+            if (neighbors.length === 0) break;
+            const target = neighbors[Math.floor(state.random() * neighbors.length)];
+            target.state = cube.state;
+            target.mode = 'solid';
+            break;
+        }
+        case 'invert':
+            state.invertPending = true;
+            break;
+        case 'subdivide': {
+            // Inner sub-grid, each sub-cell reading its own sample further along the buffer
+            const count = SUBDIVISIONS * SUBDIVISIONS;
+            if (!cube.sub) cube.sub = new Uint8Array(count);
+            const base = cube.index * count + state.frameOffset;
+            for (let k = 0; k < count; k++) {
+                cube.sub[k] = d[(base + k) % d.length] > params.levels.level5.subdivideThreshold ? 1 : 0;
+            }
+            cube.state = true;
+            cube.mode = 'subdivide';
+            cube.value = sample;
+            break;
+        }
+    }
+}
+
+// Node (tests): the same names as a CommonJS module
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        SUBDIVISIONS, LEVEL_COUNT, LEVEL_DEFAULTS, defaultLevels, TOPOLOGIES, TOPOLOGY_KEYS, DATA_MAPPINGS, DATA_MAPPING_KEYS,
+        TRANSITIONS, TRANSITION_KEYS, ACTIONS, EVAL_MODES, EVAL_MODE_KEYS, FEATURE_NAMES, LIFE_RULES, DEFAULT_LIFE_RULE,
+        CUBE_BUFFERS, CubeHistory, Cube, createState, findNeighbors, spiralOrder, hilbertOrder, mapPositions, readSample, countOnNeighbors,
+        compileRules, orderRules, parseLifeRule, startTransition, step, applyAction
+    };
+}
@@ -0,0 +1,269 @@
+// Frame Tapes
+// Records the analyser's raw data once per frame, with timestamps, and plays it
+// back in place of the analyser: exact reproductions of a moment in a set, and
+// fixtures for tests.
+//
+// File format (JSON lines, .jsonl):
+//   line 1:  { format: 'day-40-frames', version: 1, sampleRate, fftSize,
+//              frequencyBinCount, minDecibels, maxDecibels }
+//   then:    { t: ms since the start, time: base64 bytes, freq: base64 bytes }
+// time is getByteTimeDomainData (fftSize bytes), freq is getByteFrequencyData
+// (frequencyBinCount bytes). Both are kept so a replay works in any input mode.
+//
+// Pages call frame(analyser) once per frame before reading: it records the live
+// analyser while recording and returns the analyser to read from, which is the
+// replay stand-in while a tape is loaded.
+// Load after audio-file.js (uses its toolbar), before the page script.
+
+const TAPE_FORMAT = 'day-40-frames';
+const TAPE_SPEEDS = [0.25, 0.5, 1, 2, 4];
+const TAPE_MAX_STEP = 100; // ms, caps the jump after a stalled or hidden tab
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+    return btoa(binary);
+}
+
+const base64ToBytes = (text) => Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+
+// Stands in for an AnalyserNode: the same read methods, answered from the current tape frame
+class TapeAnalyser {
+    constructor(header) {
+        this.fftSize = header.fftSize;
+        this.frequencyBinCount = header.frequencyBinCount;
+        this.minDecibels = header.minDecibels;
+        this.maxDecibels = header.maxDecibels;
+        this.context = { sampleRate: header.sampleRate };
+        this.time = new Uint8Array(this.fftSize).fill(128); // Silence until a frame is set
+        this.freq = new Uint8Array(this.frequencyBinCount);
+    }
+
+    getByteTimeDomainData(out) {
+        out.set(this.time.subarray(0, out.length));
+    }
+
+    getFloatTimeDomainData(out) {
+        const n = Math.min(out.length, this.time.length);
+        for (let i = 0; i < n; i++) out[i] = (this.time[i] - 128) / 128;
+    }
+
+    getByteFrequencyData(out) {
+        out.set(this.freq.subarray(0, out.length));
+    }
+
+    // Back to dB on the analyser's scale, so readSpectrum() lands on the same 0-1 levels
+    getFloatFrequencyData(out) {
+        const range = this.maxDecibels - this.minDecibels;
+        const n = Math.min(out.length, this.freq.length);
+        for (let i = 0; i < n; i++) out[i] = this.minDecibels + this.freq[i] / 255 * range;
+    }
+}
+
+class FrameTape {
+    constructor() {
+        this.recording = null; // { header, lines, startedAt, time, freq } while recording
+        this.header = null; // Loaded tape
+        this.frames = []; // [{ t, time, freq }]
+        this.analyser = null;
+        this.index = 0;
+        this.position = 0; // ms into the tape
+        this.playing = false;
+        this.speed = 1;
+        this.loop = true;
+        this.lastTick = 0;
+    }
+
+    get replaying() {
+        return this.frames.length > 0;
+    }
+
+    get duration() {
+        return this.replaying ? this.frames[this.frames.length - 1].t : 0;
+    }
+
+    startRecording(analyser) {
+        const header = {
+            format: TAPE_FORMAT,
+            version: 1,
+            sampleRate: analyser.context.sampleRate,
+            fftSize: analyser.fftSize,
+            frequencyBinCount: analyser.frequencyBinCount,
+            minDecibels: analyser.minDecibels,
+            maxDecibels: analyser.maxDecibels
+        };
+        this.recording = {
+            header,
+            lines: [JSON.stringify(header)],
+            startedAt: performance.now(),
+            time: new Uint8Array(analyser.fftSize),
+            freq: new Uint8Array(analyser.frequencyBinCount)
+        };
+    }
+
+    // The finished tape as JSON-lines text
+    stopRecording() {
+        const text = this.recording.lines.join('\n') + '\n';
+        this.recording = null;
+        return text;
+    }
+
+    load(text) {
+        const lines = text.split('\n').filter(line => line.trim());
+        const header = JSON.parse(lines[0]);
+        if (header.format !== TAPE_FORMAT) throw new Error('Not a frame tape');
+        this.header = header;
+        this.frames = lines.slice(1).map(line => {
+            const frame = JSON.parse(line);
+            return { t: frame.t, time: base64ToBytes(frame.time), freq: base64ToBytes(frame.freq) };
+        });
+        if (this.frames.length === 0) throw new Error('Tape has no frames');
+        this.analyser = new TapeAnalyser(header);
+        this.seekIndex(0);
+        this.playing = true;
+        this.lastTick = performance.now();
+    }
+
+    eject() {
+        this.header = null;
+        this.frames = [];
+        this.analyser = null;
+        this.playing = false;
+    }
+
+    seekIndex(index) {
+        this.index = Math.min(Math.max(index, 0), this.frames.length - 1);
+        this.position = this.frames[this.index].t;
+        this.analyser.time.set(this.frames[this.index].time.subarray(0, this.analyser.time.length));
+        this.analyser.freq.set(this.frames[this.index].freq.subarray(0, this.analyser.freq.length));
+    }
+
+    // Pauses and moves exactly one recorded frame
+    step(delta = 1) {
+        if (!this.replaying) return;
+        this.playing = false;
+        const next = this.index + delta;
+        this.seekIndex(this.loop ? (next + this.frames.length) % this.frames.length : next);
+    }
+
+    toggle() {
+        this.playing = !this.playing;
+        this.lastTick = performance.now();
+    }
+
+    // Once per page frame, before any reads
+    frame(live) {
+        const now = performance.now();
+        if (this.recording && live) {
+            const rec = this.recording;
+            live.getByteTimeDomainData(rec.time);
+            live.getByteFrequencyData(rec.freq);
+            rec.lines.push(JSON.stringify({
+                t: Math.round((now - rec.startedAt) * 10) / 10,
+                time: bytesToBase64(rec.time),
+                freq: bytesToBase64(rec.freq)
+            }));
+        }
+        if (!this.replaying) return live;
+
+        if (this.playing) {
+            this.position += Math.min(now - this.lastTick, TAPE_MAX_STEP) * this.speed;
+            if (this.position > this.duration) {
+                if (this.loop) this.position %= Math.max(this.duration, 1);
+                else this.position = this.duration;
+            }
+            // Last frame at or before the position (tapes are short enough to scan from the start on wrap)
+            let i = this.frames[this.index].t <= this.position ? this.index : 0;
+            while (i + 1 < this.frames.length && this.frames[i + 1].t <= this.position) i++;
+            if (i !== this.index) {
+                const position = this.position;
+                this.seekIndex(i);
+                this.position = position;
+            }
+        }
+        this.lastTick = now;
+        return this.analyser;
+    }
+}
+
+// Tool bar row: record, load, play/pause, step, speed, eject.
+// getAnalyser() -> the live analyser (undefined before audio starts).
+// onReplay() is called when a tape is loaded, so the page can start running without a mic.
+function setupFrameTape(getAnalyser, onReplay) {
+    const tape = new FrameTape();
+    const bar = document.createElement('div');
+    bar.className = 'tool-bar';
+    bar.innerHTML = `
+        <span class="tool-label">Frames</span>
+        <button data-action="record">[Rec]</button>
+        <button data-action="load">[Load]</button>
+        <button data-action="play" disabled>[Pause]</button>
+        <button data-action="step" disabled>[Step]</button>
+        <select data-action="speed" disabled></select>
+        <button data-action="eject" disabled>[Eject]</button>
+        <span class="tool-label" data-role="status"></span>
+        <input type="file" accept=".jsonl,.json,.txt" hidden>
+    `;
+    getToolbar().appendChild(bar);
+
+    const recordBtn = bar.querySelector('[data-action="record"]');
+    const playBtn = bar.querySelector('[data-action="play"]');
+    const stepBtn = bar.querySelector('[data-action="step"]');
+    const speed = bar.querySelector('[data-action="speed"]');
+    const ejectBtn = bar.querySelector('[data-action="eject"]');
+    const status = bar.querySelector('[data-role="status"]');
+    const fileInput = bar.querySelector('input[type="file"]');
+    TAPE_SPEEDS.forEach(s => speed.add(new Option(`${s}×`, s)));
+    speed.value = 1;
+    let notice = ''; // Shown while idle, until something changes
+
+    function refresh() {
+        requestAnimationFrame(refresh);
+        recordBtn.textContent = tape.recording ? '[Stop]' : '[Rec]';
+        playBtn.textContent = tape.playing ? '[Pause]' : '[Play]';
+        [playBtn, stepBtn, speed, ejectBtn].forEach(el => { el.disabled = !tape.replaying; });
+        if (tape.recording) {
+            status.textContent = `● ${tape.recording.lines.length - 1} frames`;
+        } else if (tape.replaying) {
+            status.textContent = `${tape.index + 1}/${tape.frames.length} · ${formatTime(tape.position / 1000)}`;
+        } else {
+            if (notice && getAnalyser()) notice = ''; // Audio has started since
+            status.textContent = notice;
+        }
+    }
+
+    recordBtn.addEventListener('click', () => {
+        if (tape.recording) {
+            const text = tape.stopRecording();
+            downloadBlob(`day-40-frames-${Date.now()}.jsonl`, new Blob([text], { type: 'application/x-ndjson' }));
+        } else if (getAnalyser()) {
+            notice = '';
+            tape.startRecording(getAnalyser());
+        } else {
+            notice = 'Start audio first';
+        }
+    });
+
+    bar.querySelector('[data-action="load"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            tape.load(await file.text());
+            notice = '';
+            bar.title = file.name;
+            onReplay();
+        } catch (e) {
+            alert(`Could not load ${file.name}: ${e.message}`);
+        }
+    });
+
+    playBtn.addEventListener('click', () => tape.toggle());
+    stepBtn.addEventListener('click', () => tape.step());
+    speed.addEventListener('change', () => { tape.speed = parseFloat(speed.value); });
+    ejectBtn.addEventListener('click', () => tape.eject());
+
+    refresh();
+    return tape;
+}
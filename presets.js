@@ -0,0 +1,147 @@
+// Presets
+// Named snapshots of a page's settings, kept in localStorage, exported and
+// imported as JSON files, and mirrored into the URL hash so a copied link
+// reproduces the same setup. The page decides what a snapshot holds:
+//   getState() -> plain JSON-able object
+//   setState(object) applies one (and should ignore anything it doesn't know)
+// Load after audio-file.js (uses its toolbar), before the page script.
+
+const PRESET_STORAGE_KEY = 'day-40.presets';
+const PRESET_HASH_PREFIX = '#preset=';
+const PRESET_HASH_INTERVAL = 1000; // ms between URL hash refreshes
+
+// Name -> state, everything saved on this browser
+function loadPresetStore() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {}; // Storage disabled or corrupted: start empty
+    }
+}
+
+function savePresetStore(store) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(store));
+    } catch (e) {
+        console.warn('Could not save presets', e);
+    }
+}
+
+// URL-safe base64 of the JSON, UTF-8 so rule comments can hold any text
+function encodePreset(state) {
+    const bytes = new TextEncoder().encode(JSON.stringify(state));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodePreset(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Tool bar row: preset picker, save/delete, export/import and copy link.
+// Returns { restore() }: applies the URL hash (if any) and starts keeping it current.
+// Call restore() once the page is ready for setState().
+function setupPresets(getState, setState) {
+    const bar = document.createElement('div');
+    bar.className = 'tool-bar';
+    bar.innerHTML = `
+        <span class="tool-label">Preset</span>
+        <select data-action="pick"></select>
+        <button data-action="save">[Save]</button>
+        <button data-action="delete">[Delete]</button>
+        <button data-action="export">[Export]</button>
+        <button data-action="import">[Import]</button>
+        <button data-action="link">[Link]</button>
+        <span class="tool-label" data-role="status"></span>
+        <input type="file" accept="application/json,.json" hidden>
+    `;
+    getToolbar().appendChild(bar);
+
+    const pick = bar.querySelector('[data-action="pick"]');
+    const fileInput = bar.querySelector('input[type="file"]');
+    const status = bar.querySelector('[data-role="status"]');
+    let store = loadPresetStore();
+
+    function refreshList(selected = '') {
+        pick.innerHTML = '';
+        pick.add(new Option('—', ''));
+        Object.keys(store).sort().forEach(name => pick.add(new Option(name, name)));
+        pick.value = selected;
+    }
+
+    pick.addEventListener('change', () => {
+        if (store[pick.value]) setState(store[pick.value]);
+    });
+
+    bar.querySelector('[data-action="save"]').addEventListener('click', () => {
+        const name = prompt('Preset name', pick.value);
+        if (!name) return;
+        store[name] = getState();
+        savePresetStore(store);
+        refreshList(name);
+    });
+
+    bar.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        if (!store[pick.value]) return;
+        delete store[pick.value];
+        savePresetStore(store);
+        refreshList();
+    });
+
+    bar.querySelector('[data-action="export"]').addEventListener('click', () => {
+        const json = JSON.stringify(getState(), null, 2);
+        downloadBlob(`${pick.value || 'preset'}.json`, new Blob([json], { type: 'application/json' }));
+    });
+
+    bar.querySelector('[data-action="import"]').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        try {
+            setState(JSON.parse(await file.text()));
+        } catch (e) {
+            alert(`Could not import ${file.name}: ${e.message}`);
+        }
+    });
+
+    bar.querySelector('[data-action="link"]').addEventListener('click', () => {
+        syncHash();
+        if (!navigator.clipboard) return prompt('Link to this setup', location.href);
+        // Denied permission or an unfocused page: say so, and offer the link to copy by hand
+        navigator.clipboard.writeText(location.href).then(() => {
+            status.textContent = 'Link copied';
+        }, (e) => {
+            status.textContent = `Could not copy the link: ${e.message}`;
+            prompt('Link to this setup', location.href);
+        });
+    });
+
+    // The hash always describes the current state, so the address bar is shareable as is
+    function syncHash() {
+        const hash = PRESET_HASH_PREFIX + encodePreset(getState());
+        if (location.hash !== hash) history.replaceState(null, '', hash);
+    }
+
+    function applyHash() {
+        if (!location.hash.startsWith(PRESET_HASH_PREFIX)) return;
+        try {
+            setState(decodePreset(location.hash.slice(PRESET_HASH_PREFIX.length)));
+        } catch (e) {
+            console.warn('Ignoring malformed preset link', e);
+        }
+    }
+
+    refreshList();
+
+    return {
+        restore() {
+            applyHash();
+            window.addEventListener('hashchange', applyHash); // A link pasted into this tab
+            setInterval(syncHash, PRESET_HASH_INTERVAL);
+        }
+    };
+}
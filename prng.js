@@ -0,0 +1,66 @@
+// Seeded Randomness
+// Every random decision on the pages goes through random() so a run can be
+// repeated: same seed + same input = same frames. The seed comes from
+// ?seed=1234 in the URL, or is picked fresh (and shown) when there isn't one.
+// Load after audio-file.js (uses its toolbar), before the page script.
+
+// mulberry32: 32-bit state, plenty for visuals
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+let randomSeed = 0;
+let random; // Simulation stream: levels, rules, particles
+let drawRandom; // Purely visual jitter, kept apart so drawing (which goes on while paused) never shifts the simulation
+
+function seedRandom(seed) {
+    randomSeed = seed >>> 0;
+    random = mulberry32(randomSeed);
+    drawRandom = mulberry32(randomSeed ^ 0x9E3779B9);
+}
+
+const parseSeed = (text) => (/^\d+$/.test(String(text).trim()) ? Number(text) >>> 0 : null);
+
+function initialSeed() {
+    const fromURL = parseSeed(new URLSearchParams(location.search).get('seed') || '');
+    return fromURL !== null ? fromURL : Math.floor(Math.random() * 1e9); // The one unseeded call: choosing a seed
+}
+
+seedRandom(initialSeed());
+
+// Tool bar row: the seed, editable, and [New] for a fresh one.
+// onChange(seed) is called instead of reseeding directly, so pages can restart whatever
+// depends on the stream; it defaults to seedRandom. Returns { sync() } to show the current seed.
+function setupSeedControl(onChange = seedRandom) {
+    const bar = document.createElement('div');
+    bar.className = 'tool-bar';
+    bar.innerHTML = `
+        <span class="tool-label">Seed</span>
+        <input type="text" inputmode="numeric" size="10" data-action="seed">
+        <button data-action="new">[New]</button>
+    `;
+    getToolbar().appendChild(bar);
+
+    const input = bar.querySelector('[data-action="seed"]');
+    const sync = () => { input.value = randomSeed; };
+
+    input.addEventListener('change', () => {
+        const seed = parseSeed(input.value);
+        if (seed !== null) onChange(seed);
+        sync();
+    });
+    bar.querySelector('[data-action="new"]').addEventListener('click', () => {
+        onChange(Math.floor(Math.random() * 1e9));
+        sync();
+    });
+    sync();
+
+    return { sync };
+}
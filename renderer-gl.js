@@ -0,0 +1,467 @@
+// WebGL Grid Renderer
+// Draws the whole cube grid in one instanced draw call. Each frame the cubes'
+// value, fill and mode are uploaded as a float texture (one texel per cube),
+// and the fragment shader rebuilds what script-4.js's Canvas 2D path draws:
+// the gap, hex cells, traces, every render mode, scatter and subdivide.
+//
+// Shapes are filled by the exact area of each pixel they cover, which is how
+// Canvas 2D antialiases rects and paths, and cells are composited in the same
+// order. Hexagons are measured by clipping the pixel square against their six
+// sides; their outlines are hairlines, as the browser strokes a 1px line.
+// Scatter dots come from the same drawRandom() draws as the 2D path, in the
+// same order, so both renderers put them on the same spots.
+// Load before script-4.js. createGridRenderer() returns null without WebGL2.
+
+const GL_RENDER_MODES = { binary: 0, grayscale: 1, dither: 2, outline: 3, inset: 4 };
+const GL_CUBE_MODES = { solid: 0, scatter: 1, subdivide: 2 };
+const GL_SCATTER_WIDTH = 2048; // Texels per row of the scatter spot counts
+
+const GRID_VERTEX_SHADER = `#version 300 es
+uniform highp sampler2D u_cells;
+uniform int u_cols;
+uniform vec2 u_resolution;
+uniform bool u_hex;
+uniform float u_cellSize;
+uniform float u_cellHeight;
+uniform float u_rowStep;
+uniform vec2 u_origin; // Top-left of the grid on the canvas
+
+flat out vec4 v_cell;
+flat out vec2 v_origin;
+
+// Two triangles covering the cell's box
+const vec2 CORNERS[6] = vec2[6](vec2(0, 0), vec2(1, 0), vec2(0, 1), vec2(0, 1), vec2(1, 0), vec2(1, 1));
+
+void main() {
+    int c = gl_InstanceID % u_cols;
+    int r = gl_InstanceID / u_cols;
+    // Same layout as script-4's initGrid(): odd hex rows shift right by half a cell
+    vec2 origin = u_origin + (u_hex
+        ? vec2(float(c) * u_cellSize + float(r % 2) * u_cellSize / 2.0, float(r) * u_rowStep)
+        : vec2(c, r) * u_cellSize);
+    vec2 p = origin + CORNERS[gl_VertexID] * vec2(u_cellSize, u_cellHeight);
+    gl_Position = vec4(p.x / u_resolution.x * 2.0 - 1.0, 1.0 - p.y / u_resolution.y * 2.0, 0.0, 1.0);
+
+    v_cell = texelFetch(u_cells, ivec2(c, r), 0);
+    v_origin = origin;
+}
+`;
+
+const GRID_FRAGMENT_SHADER = `#version 300 es
+precision highp float;
+precision highp int;
+
+uniform vec2 u_resolution;
+uniform bool u_hex;
+uniform int u_mode;
+uniform float u_cellSize;
+uniform float u_cellHeight;
+uniform float u_gap;
+uniform float u_inset;
+uniform float u_gain;
+uniform float u_ditherDot;
+uniform float u_scatterDot;
+uniform int u_subdivisions;
+uniform highp usampler2D u_scatter; // Dots per scatter spot, see placeDots()
+uniform int u_bayer[16];
+uniform vec3 u_on;
+uniform vec3 u_off;
+uniform vec3 u_trace;
+uniform float u_traceAlpha;
+
+flat in vec4 v_cell; // value, fill (0 off, 1 on, 2 trace), mode (GL_CUBE_MODES), subdivide bits or scatter offset
+flat in vec2 v_origin; // Top-left of the cell's box, canvas pixels
+
+const vec2 HEX_NORMALS[6] = vec2[6](
+    vec2(1.0, 0.0), vec2(0.5, 0.8660254), vec2(-0.5, 0.8660254),
+    vec2(-1.0, 0.0), vec2(-0.5, -0.8660254), vec2(0.5, -0.8660254)
+);
+
+out vec4 outColor;
+
+vec2 pixel; // This fragment's pixel square, top-left corner in canvas pixels
+vec4 acc = vec4(0.0); // The cell's layers so far, premultiplied
+
+// Paints a layer over the cell's earlier ones, like a 2D fill would
+void layer(vec3 color, float alpha) {
+    acc = vec4(color * alpha, alpha) + acc * (1.0 - alpha);
+}
+
+// Area of the pixel inside an axis-aligned rect (how fillRect antialiases)
+float rectCoverage(vec2 pos, vec2 size) {
+    vec2 overlap = clamp(min(pixel + 1.0, pos + size) - max(pixel, pos), 0.0, 1.0);
+    return overlap.x * overlap.y;
+}
+
+// Area of the pixel inside a pointy-top hexagon, by its apothem (center to the
+// flat sides): the pixel square clipped against each side in turn
+float hexCoverage(vec2 center, float apothem) {
+    vec2 q = abs(pixel + 0.5 - center);
+    float d = max(q.x, dot(q, HEX_NORMALS[1])) - apothem;
+    if (apothem <= 0.0 || d >= 0.7072) return 0.0; // Past a side by more than half a diagonal
+    if (d <= -0.7072) return 1.0;
+
+    vec2 poly[12];
+    poly[0] = pixel - center;
+    poly[1] = poly[0] + vec2(1.0, 0.0);
+    poly[2] = poly[0] + vec2(1.0, 1.0);
+    poly[3] = poly[0] + vec2(0.0, 1.0);
+    int count = 4;
+    for (int k = 0; k < 6; k++) {
+        vec2 kept[12];
+        int m = 0;
+        for (int i = 0; i < count; i++) {
+            vec2 a = poly[i];
+            vec2 b = poly[(i + 1) % count];
+            float da = dot(a, HEX_NORMALS[k]) - apothem;
+            float db = dot(b, HEX_NORMALS[k]) - apothem;
+            if (da <= 0.0) kept[m++] = a;
+            if ((da <= 0.0) != (db <= 0.0)) kept[m++] = mix(a, b, da / (da - db));
+        }
+        poly = kept;
+        count = m;
+        if (count == 0) return 0.0;
+    }
+    float area = 0.0; // Shoelace
+    for (int i = 0; i < count; i++) {
+        vec2 a = poly[i];
+        vec2 b = poly[(i + 1) % count];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return clamp(abs(area) / 2.0, 0.0, 1.0);
+}
+
+vec2 cellCenter() {
+    return v_origin + vec2(u_cellSize, u_cellHeight) / 2.0;
+}
+
+// fillCell(): the shape inside the gap, shrunk by inset
+float cellCoverage(float inset) {
+    if (u_hex) return hexCoverage(cellCenter(), u_cellSize / 2.0 - u_gap - inset);
+    float size = u_cellSize - (u_gap + inset) * 2.0;
+    return rectCoverage(v_origin + u_gap + inset, vec2(size));
+}
+
+// Canvas 2D draws a 1px stroke as a hairline: one pixel thick along the
+// line's minor axis, so slanted hex sides come out thinner than a 1px band
+float hairlineCoverage(vec2 a, vec2 b) {
+    vec2 p = pixel + 0.5;
+    vec2 d = b - a;
+    if (abs(d.x) < abs(d.y)) { // Make x the major axis
+        p = p.yx;
+        a = a.yx;
+        d = d.yx;
+    }
+    float t = (p.x - a.x) / d.x;
+    if (t < 0.0 || t > 1.0) return 0.0;
+    return max(0.0, 1.0 - abs(p.y - (a.y + t * d.y)));
+}
+
+// strokeCell(): a 1px line along the inside of the shape
+float outlineCoverage() {
+    if (u_hex) { // hexPath(cube, 0.5), corner by corner, the sides joined where they meet
+        vec2 center = cellCenter();
+        float radius = (u_cellSize / 2.0 - u_gap - 0.5) / 0.8660254;
+        float coverage = 0.0;
+        for (int k = 0; k < 6; k++) {
+            float angle = 1.0471976 * float(k) - 1.5707963;
+            vec2 a = center + radius * vec2(cos(angle), sin(angle));
+            vec2 b = center + radius * vec2(cos(angle + 1.0471976), sin(angle + 1.0471976));
+            coverage = max(coverage, hairlineCoverage(a, b));
+        }
+        return coverage;
+    }
+    float size = u_cellSize - u_gap * 2.0;
+    return rectCoverage(v_origin + u_gap, vec2(size)) - rectCoverage(v_origin + u_gap + 1.0, vec2(size - 2.0));
+}
+
+// Bayer pattern anchored to the canvas, as the 2D pattern fills are
+vec3 ditherColor(float intensity) {
+    int level = int(floor(intensity * 16.0 + 0.5));
+    ivec2 cell = ivec2(floor(pixel / u_ditherDot)) % 4;
+    return u_bayer[cell.y * 4 + cell.x] < level ? u_on : u_off;
+}
+
+// How many dots landed on a spot; base is the cube's first spot in u_scatter
+float spotCount(int base, int dots, ivec2 spot) {
+    if (any(lessThan(spot, ivec2(0))) || any(greaterThanEqual(spot, ivec2(dots)))) return 0.0;
+    int k = base + spot.y * dots + spot.x;
+    return float(texelFetch(u_scatter, ivec2(k % ${GL_SCATTER_WIDTH}, k / ${GL_SCATTER_WIDTH}), 0).r);
+}
+
+// drawScatter(): the dots drawRandom() placed, one fillRect each. Dots are all
+// ON, so only how many cover the pixel matters, not their order. Hex rows put
+// the square off the pixel grid, so a pixel can touch up to four spots.
+void scatter(vec2 origin, float size, int base, float clip) {
+    layer(u_off, rectCoverage(origin, vec2(size)) * clip);
+    int dots = int(floor(size / u_scatterDot));
+    ivec2 first = ivec2(floor((pixel - origin) / u_scatterDot)) - 1;
+    for (int y = 0; y < 3; y++) {
+        for (int x = 0; x < 3; x++) {
+            ivec2 spot = first + ivec2(x, y);
+            float count = spotCount(base, dots, spot);
+            if (count == 0.0) continue;
+            float alpha = rectCoverage(origin + vec2(spot) * u_scatterDot, vec2(u_scatterDot)) * clip;
+            layer(u_on, 1.0 - pow(1.0 - alpha, count)); // count layers of alpha, "over" each other
+        }
+    }
+}
+
+// drawSubdivided(): sub-cells on the same rounded pixel positions
+void subdivide(vec2 origin, float size, int bits, float clip) {
+    layer(u_off, rectCoverage(origin, vec2(size)) * clip);
+    float pitch = size / float(u_subdivisions);
+    float side = floor(pitch + 0.5) - 1.0;
+    for (int k = 0; k < u_subdivisions * u_subdivisions; k++) {
+        if (((bits >> k) & 1) == 0) continue;
+        vec2 pos = floor(origin + vec2(k % u_subdivisions, k / u_subdivisions) * pitch + 0.5);
+        layer(u_on, rectCoverage(pos, vec2(side)) * clip);
+    }
+}
+
+void main() {
+    pixel = vec2(floor(gl_FragCoord.x), u_resolution.y - 1.0 - floor(gl_FragCoord.y));
+    float value = v_cell.x;
+    int fill = int(v_cell.y);
+    int mode = int(v_cell.z);
+    float intensity = min(value * u_gain, 1.0);
+    vec3 fillColor = fill == 1 ? u_on : fill == 2 ? u_trace : u_off;
+    float fillAlpha = fill == 2 ? u_traceAlpha : 1.0;
+
+    if (u_mode == 1) { // grayscale, ON_COLOR at the cube's intensity
+        layer(u_on, intensity * cellCoverage(0.0));
+    } else if (u_mode == 2) { // dither
+        layer(ditherColor(intensity), cellCoverage(0.0));
+    } else if (u_mode == 3) { // outline, off cubes leave the background
+        if (fill != 0) layer(fillColor, fillAlpha * outlineCoverage());
+    } else if (u_mode == 4) { // inset
+        layer(u_off, cellCoverage(0.0));
+        if (fill != 0) layer(fillColor, fillAlpha * cellCoverage(u_inset));
+    } else if (fill == 1 && mode != 0) { // scatter/subdivide, square content clipped to the cell
+        float clip = u_hex ? cellCoverage(0.0) : 1.0;
+        float top = u_hex ? (u_cellHeight - u_cellSize) / 2.0 : 0.0;
+        vec2 origin = v_origin + vec2(0.0, top) + u_gap;
+        float size = u_cellSize - u_gap * 2.0;
+        if (mode == 1) scatter(origin, size, int(v_cell.w), clip);
+        else subdivide(origin, size, int(v_cell.w), clip);
+    } else { // binary
+        layer(fillColor, fillAlpha * cellCoverage(0.0));
+    }
+
+    if (acc.a == 0.0) discard;
+    outColor = acc;
+}
+`;
+
+// '#rrggbb' or 'rgba(r, g, b, a)' -> [r, g, b, a], channels 0-1
+function parseColor(text) {
+    if (text[0] === '#') {
+        return [1, 3, 5].map(i => parseInt(text.slice(i, i + 2), 16) / 255).concat(1);
+    }
+    const parts = text.slice(text.indexOf('(') + 1, text.indexOf(')')).split(',').map(Number);
+    return [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts.length > 3 ? parts[3] : 1];
+}
+
+function compileProgram(gl, vertexSource, fragmentSource) {
+    const program = gl.createProgram();
+    [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+        gl.attachShader(program, shader);
+    });
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+    return program;
+}
+
+// canvas: a canvas of its own (a 2D context can't share it).
+// look: the 2D path's constants { ditherDot, scatterDot, subdivisions, bayer,
+//   background, on, off, trace, traceDuration }. Cell geometry comes with each frame.
+// Returns { available, resize(width, height), clear(), draw(state, frame) } or null.
+// Each frame: clear(), then draw() every grid on the canvas.
+function createGridRenderer(canvas, look) {
+    const gl = canvas.getContext('webgl2', { alpha: false, antialias: false, preserveDrawingBuffer: true });
+    if (!gl) return null;
+
+    const background = parseColor(look.background);
+    const trace = parseColor(look.trace);
+    let uniforms = {};
+    let cells = new Float32Array(0);
+    let spots = new Uint8Array(0); // Scatter dot counts, GL_SCATTER_WIDTH per row
+    let texSize;
+    let spotRows;
+    let lost = false;
+
+    // Everything that lives on the context: program, uniforms, texture and
+    // blend state. Runs again when a lost context comes back, since nothing
+    // made on the old one survives. Returns false if the shaders don't build.
+    function init() {
+        let program;
+        try {
+            program = compileProgram(gl, GRID_VERTEX_SHADER, GRID_FRAGMENT_SHADER);
+        } catch (e) {
+            console.warn('WebGL grid renderer unavailable, using Canvas 2D', e);
+            return false;
+        }
+
+        uniforms = {};
+        const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+        for (let i = 0; i < count; i++) {
+            const name = gl.getActiveUniform(program, i).name.replace(/\[0\]$/, '');
+            uniforms[name] = gl.getUniformLocation(program, name);
+        }
+
+        gl.useProgram(program);
+        gl.uniform1f(uniforms.u_ditherDot, look.ditherDot);
+        gl.uniform1f(uniforms.u_scatterDot, look.scatterDot);
+        gl.uniform1i(uniforms.u_subdivisions, look.subdivisions);
+        gl.uniform1iv(uniforms.u_bayer, Int32Array.from(look.bayer));
+        gl.uniform3fv(uniforms.u_on, parseColor(look.on).slice(0, 3));
+        gl.uniform3fv(uniforms.u_off, parseColor(look.off).slice(0, 3));
+        gl.uniform3fv(uniforms.u_trace, trace.slice(0, 3));
+        gl.uniform1f(uniforms.u_traceAlpha, trace[3]);
+        gl.uniform1i(uniforms.u_cells, 0);
+        gl.uniform1i(uniforms.u_scatter, 1);
+        fitCanvas();
+
+        // Every cube is drawn from gl_VertexID/gl_InstanceID, no vertex buffers
+        gl.bindVertexArray(gl.createVertexArray());
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA); // Premultiplied "over", cell after cell
+        gl.clearColor(background[0], background[1], background[2], 1);
+
+        [gl.TEXTURE1, gl.TEXTURE0].forEach(unit => { // Cells stay on the active unit
+            gl.activeTexture(unit);
+            gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        });
+        texSize = { cols: 0, rows: 0 }; // Both allocated on the first upload
+        spotRows = 0;
+        return true;
+    }
+
+    function fitCanvas() {
+        gl.viewport(0, 0, canvas.width, canvas.height);
+        gl.uniform2f(uniforms.u_resolution, canvas.width, canvas.height);
+    }
+
+    if (!init()) return null;
+
+    // The page draws with Canvas 2D while the context is gone (see available).
+    // preventDefault() asks the browser to restore it; then it's rebuilt.
+    canvas.addEventListener('webglcontextlost', (e) => {
+        e.preventDefault();
+        lost = true;
+    });
+    canvas.addEventListener('webglcontextrestored', () => {
+        lost = !init();
+    });
+
+    // One texel per cube, in the texture's top-left corner. The texture and
+    // cells only grow, so regions of different sizes share them without a
+    // reallocation every draw (the shader fetches by column and row, not by UV).
+    // Like the 2D path this draws the shown value and state (engine.js); scatter
+    // and subdivide cubes take their density from the value itself.
+    // random is drawRandom() in binary mode, the only mode that draws scatter;
+    // scatter cubes keep their first spot in place of the subdivide bits
+    function upload(state, now, random, dots) {
+        const { cols, rows, cubes } = state;
+        const { value, shownValue, shownState: on, traceTime } = state.buffers;
+        if (cols > texSize.cols || rows > texSize.rows) {
+            texSize = { cols: Math.max(cols, texSize.cols), rows: Math.max(rows, texSize.rows) };
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, texSize.cols, texSize.rows, 0, gl.RGBA, gl.FLOAT, null);
+        }
+        if (cells.length < cubes.length * 4) cells = new Float32Array(cubes.length * 4);
+        let spotCount = 0;
+        for (let i = 0; i < cubes.length; i++) {
+            const cube = cubes[i];
+            const tracing = traceTime[i] > 0 && now - traceTime[i] < look.traceDuration;
+            let bits = 0;
+            if (cube.sub) {
+                for (let k = 0; k < cube.sub.length; k++) bits |= cube.sub[k] << k;
+            }
+            cells[i * 4] = cube.mode === 'solid' ? shownValue[i] : value[i];
+            cells[i * 4 + 1] = on[i] ? 1 : tracing ? 2 : 0;
+            cells[i * 4 + 2] = GL_CUBE_MODES[cube.mode];
+            cells[i * 4 + 3] = cube.mode === 'scatter' ? spotCount : bits;
+            if (random && on[i] && cube.mode === 'scatter') {
+                spotCount = placeDots(spotCount, value[i], dots, random);
+            }
+        }
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, cols, rows, gl.RGBA, gl.FLOAT, cells.subarray(0, cubes.length * 4));
+        if (spotCount > 0) uploadSpots(Math.ceil(spotCount / GL_SCATTER_WIDTH));
+    }
+
+    // drawScatter()'s dots, from the same random() calls in the same order:
+    // how many land on each of the cube's dots² spots, starting at base.
+    // Returns where the next cube's spots start
+    function placeDots(base, value, dots, random) {
+        const end = base + dots * dots;
+        if (spots.length < end) {
+            const grown = new Uint8Array(Math.ceil(end * 2 / GL_SCATTER_WIDTH) * GL_SCATTER_WIDTH);
+            grown.set(spots);
+            spots = grown;
+        }
+        spots.fill(0, base, end);
+        const count = Math.round(value * dots * dots);
+        for (let i = 0; i < count; i++) {
+            const dx = Math.floor(random() * dots);
+            const dy = Math.floor(random() * dots);
+            const k = base + dy * dots + dx;
+            if (spots[k] < 255) spots[k]++; // Past 255 dots a spot is solid ON anyway
+        }
+        return end;
+    }
+
+    // Like the cell texture, only grows
+    function uploadSpots(rows) {
+        gl.activeTexture(gl.TEXTURE1);
+        if (rows > spotRows) {
+            spotRows = rows;
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.R8UI, GL_SCATTER_WIDTH, spotRows, 0, gl.RED_INTEGER, gl.UNSIGNED_BYTE, null);
+        }
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, GL_SCATTER_WIDTH, rows, gl.RED_INTEGER, gl.UNSIGNED_BYTE,
+            spots.subarray(0, rows * GL_SCATTER_WIDTH));
+        gl.activeTexture(gl.TEXTURE0);
+    }
+
+    return {
+        get available() {
+            return !lost;
+        },
+
+        resize(width, height) {
+            canvas.width = width;
+            canvas.height = height;
+            if (!lost) fitCanvas(); // Otherwise init() picks the size up on restore
+        },
+
+        clear() {
+            if (!lost) gl.clear(gl.COLOR_BUFFER_BIT);
+        },
+
+        // frame: { mode (a RENDER_MODES key other than auto), hex, gain, now,
+        //   random (drawRandom), geometry: { size, gap, inset, hexHeight, rowStep },
+        //   origin: { x, y } }
+        draw(state, frame) {
+            if (lost || state.cubes.length === 0) return;
+            const { size, gap, inset, hexHeight, rowStep } = frame.geometry;
+            const dots = Math.floor((size - gap * 2) / look.scatterDot); // drawInsideCell()'s square
+            upload(state, frame.now, frame.mode === 'binary' ? frame.random : null, dots);
+            gl.uniform1i(uniforms.u_mode, GL_RENDER_MODES[frame.mode]);
+            gl.uniform1i(uniforms.u_hex, frame.hex ? 1 : 0);
+            gl.uniform1i(uniforms.u_cols, state.cols);
+            gl.uniform2f(uniforms.u_origin, frame.origin.x, frame.origin.y);
+            gl.uniform1f(uniforms.u_cellSize, size);
+            gl.uniform1f(uniforms.u_cellHeight, frame.hex ? hexHeight : size);
+            gl.uniform1f(uniforms.u_rowStep, rowStep);
+            gl.uniform1f(uniforms.u_gap, gap);
+            gl.uniform1f(uniforms.u_inset, inset);
+            gl.uniform1f(uniforms.u_gain, frame.gain);
+            gl.drawArraysInstanced(gl.TRIANGLES, 0, 6, state.cubes.length);
+        }
+    };
+}
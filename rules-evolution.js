@@ -0,0 +1,144 @@
+// Rule Evolution
+// Generates, mutates and breeds Level 5 rule sets. Everything works on rule
+// text (see rules-grammar.js), so results land in the editor like anything
+// typed by hand and can be tweaked from there.
+//
+// vocab: {
+//   actions: ['on', ...],
+//   terms: [{ name: 'd', min: 0, max: 1, integer? }, ...], // left-hand sides
+//   params: ['loudThreshold', ...] // names usable as thresholds against d
+// }
+// rand: () => 0..1
+
+const pick = (list, rand) => list[Math.floor(rand() * list.length)];
+const isRuleLine = (line) => line.trim() && !line.trim().startsWith('#');
+
+// Fisher-Yates, in place: unbiased, and the same rand gives the same order in any browser
+function shuffle(list, rand) {
+    for (let i = list.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [list[i], list[j]] = [list[j], list[i]];
+    }
+    return list;
+}
+
+function randomClause(vocab, rand) {
+    const op = rand() < 0.5 ? '>' : '<';
+    if (vocab.params.length && rand() < 0.25) {
+        return `d ${op} ${pick(vocab.params, rand)}`;
+    }
+    const term = pick(vocab.terms, rand);
+    const value = term.min + rand() * (term.max - term.min);
+    return `${term.name} ${op} ${term.integer ? Math.round(value) : value.toFixed(2)}`;
+}
+
+function randomRule(vocab, rand) {
+    let condition = randomClause(vocab, rand);
+    if (rand() < 0.6) condition += `${rand() < 0.75 ? ' and ' : ' or '}${randomClause(vocab, rand)}`;
+    const priority = Math.floor(rand() * 4);
+    return `${condition} -> ${pick(vocab.actions, rand)}${priority ? ` @ ${priority}` : ''}`;
+}
+
+// A fresh rule set of 2-6 rules
+function generateRuleSet(vocab, rand) {
+    const count = 2 + Math.floor(rand() * 5);
+    return Array.from({ length: count }, () => randomRule(vocab, rand)).join('\n');
+}
+
+// Nudges every decimal literal in the rules' conditions by up to ±amount.
+// Integers such as neighbor counts, priorities and comments are left alone.
+// Lines the tokenizer rejects stay as they are, for the editor to point out.
+function mutateRuleSet(text, rand, amount = 0.1) {
+    return text.split('\n').map((line, i) => {
+        if (!isRuleLine(line)) return line;
+        let tokens;
+        try {
+            tokens = tokenizeRule(line, i + 1);
+        } catch (e) {
+            if (!(e instanceof RuleSyntaxError)) throw e;
+            return line;
+        }
+        const arrow = tokens.findIndex(token => token.type === '->');
+        const edits = [];
+        tokens.slice(0, arrow < 0 ? tokens.length : arrow).forEach(token => {
+            if (token.type !== 'number') return;
+            const start = token.column - 1;
+            const literal = /^(\d+\.?\d*|\.\d+)/.exec(line.slice(start))[0];
+            if (!literal.includes('.')) return;
+            const value = Math.max(token.value + (rand() * 2 - 1) * amount, 0).toFixed(2);
+            edits.push({ start, end: start + literal.length, value });
+        });
+        // Right to left, so the earlier columns still line up
+        return edits.reduceRight((out, e) => out.slice(0, e.start) + e.value + out.slice(e.end), line);
+    }).join('\n');
+}
+
+// Uniform crossover: each position takes the line from one parent or the
+// other, then a light mutation so children aren't exact copies
+function breedRuleSets(a, b, rand) {
+    const linesA = a.split('\n').filter(isRuleLine);
+    const linesB = b.split('\n').filter(isRuleLine);
+    const child = [];
+    for (let i = 0; i < Math.max(linesA.length, linesB.length); i++) {
+        const line = rand() < 0.5 ? linesA[i] : linesB[i];
+        if (line) child.push(line);
+    }
+    if (child.length === 0) child.push(pick(linesA.concat(linesB), rand));
+    return mutateRuleSet(child.join('\n'), rand, 0.05);
+}
+
+// Shuffles which rule sits on which rule line (the first-match order). Each
+// rule takes the comment lines right above it along; blank lines and any
+// other comments stay where they are.
+function shuffleRuleOrder(text, rand) {
+    const lines = text.split('\n');
+    const blocks = []; // { start, end } line ranges: comments, then the rule
+    let start = 0;
+    lines.forEach((line, i) => {
+        if (!line.trim()) {
+            start = i + 1;
+        } else if (isRuleLine(line)) {
+            blocks.push({ start, end: i + 1 });
+            start = i + 1;
+        }
+    });
+    const shuffled = shuffle(blocks.map(b => lines.slice(b.start, b.end)), rand);
+    const out = [];
+    let next = 0;
+    blocks.forEach((block, k) => {
+        out.push(...lines.slice(next, block.start), ...shuffled[k]);
+        next = block.end;
+    });
+    return out.concat(lines.slice(next)).join('\n');
+}
+
+// Deals the priorities 1..n out to the rule lines at random, replacing any
+// `@ n` already there. Comments, inline ones included, are kept.
+function shufflePriorities(text, rand) {
+    const lines = text.split('\n');
+    const priorities = shuffle(lines.filter(isRuleLine).map((_, i) => i + 1), rand);
+    let k = 0;
+    return lines.map(line => {
+        if (!isRuleLine(line)) return line;
+        const hash = line.indexOf('#');
+        const code = hash < 0 ? line : line.slice(0, hash);
+        const comment = hash < 0 ? '' : line.slice(code.trimEnd().length);
+        return `${code.replace(/@[^@]*$/, '').trimEnd()} @ ${priorities[k++]}${comment}`;
+    }).join('\n');
+}
+
+// Random walk for numeric parameters, kept inside their ranges.
+// ranges: { key: [min, max] }
+// ordered: [[low, high], ...] keys that must stay low <= high (a band such as
+// flipMin/flipMax); when a step crosses them, both meet in the middle.
+function driftParams(params, ranges, rand, step, ordered = []) {
+    Object.keys(ranges).forEach(key => {
+        const [min, max] = ranges[key];
+        const next = params[key] + (rand() * 2 - 1) * step * (max - min);
+        params[key] = Number(Math.min(Math.max(next, min), max).toFixed(3));
+    });
+    ordered.forEach(([low, high]) => {
+        if (params[low] <= params[high]) return;
+        params[low] = params[high] = Number(((params[low] + params[high]) / 2).toFixed(3));
+    });
+}
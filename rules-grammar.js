@@ -0,0 +1,251 @@
+// Rule Grammar
+// A tiny expression language for Level 5 rules, one rule per line:
+//
+//   d > 0.7 and n >= 2 -> on
+//   rms < 0.05 -> decay @ 2
+//   # comments and blank lines are ignored
+//
+// The optional `@ number` suffix sets the rule's priority (default 0, higher
+// goes first when the engine evaluates by priority).
+//
+// Conditions support numbers, names, calls like max(a, b), parentheses,
+// + - * /, comparisons (> >= < <= == !=) and `and` / `or` / `not`.
+// What the names mean is up to the caller: parseRules() takes a lookup that
+// turns a name into an accessor (c, d, n, f) => number, so the grammar itself
+// knows nothing about cubes or PARAMS. The arguments are passed through as
+// given: cube, frame data, on-neighbors and the frame's audio features.
+
+class RuleSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`Line ${line}, col ${column}: ${message}`);
+        this.name = 'RuleSyntaxError';
+        this.line = line;
+        this.column = column;
+    }
+}
+
+const RULE_KEYWORDS = ['and', 'or', 'not'];
+// Functions get the evaluation context first: (c, d, n, f, ...args)
+const RULE_FUNCTIONS = {
+    min: (c, d, n, f, ...args) => Math.min(...args),
+    max: (c, d, n, f, ...args) => Math.max(...args),
+    abs: (c, d, n, f, x) => Math.abs(x)
+};
+
+// Tokenizer
+// Produces { type, value, column } with 1-based columns.
+function tokenizeRule(text, line) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const ch = text[i];
+        const column = i + 1;
+
+        if (ch === ' ' || ch === '\t') {
+            i++;
+        } else if (ch === '#') {
+            break; // Comment runs to end of line
+        } else if (/[0-9.]/.test(ch)) {
+            const match = /^(\d+\.?\d*|\.\d+)/.exec(text.slice(i));
+            if (!match) throw new RuleSyntaxError(`Unexpected '${ch}'`, line, column);
+            tokens.push({ type: 'number', value: parseFloat(match[0]), column });
+            i += match[0].length;
+        } else if (/[A-Za-z_]/.test(ch)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+            const word = match[0];
+            tokens.push({ type: RULE_KEYWORDS.includes(word) ? word : 'name', value: word, column });
+            i += word.length;
+        } else {
+            const two = text.slice(i, i + 2);
+            if (['->', '>=', '<=', '==', '!='].includes(two)) {
+                tokens.push({ type: two, value: two, column });
+                i += 2;
+            } else if ('<>+-*/(),@'.includes(ch)) {
+                tokens.push({ type: ch, value: ch, column });
+                i++;
+            } else {
+                throw new RuleSyntaxError(`Unexpected '${ch}'`, line, column);
+            }
+        }
+    }
+    tokens.push({ type: 'end', value: 'end of line', column: text.length + 1 });
+    return tokens;
+}
+
+// Parser
+// Recursive descent straight to closures: every node becomes (c, d, n, f) => value.
+function parseRuleLine(text, line, options) {
+    const tokens = tokenizeRule(text, line);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const fail = (message, token = peek()) => {
+        throw new RuleSyntaxError(message, line, token.column);
+    };
+    const accept = (type) => (peek().type === type ? tokens[pos++] : null);
+    const expect = (type) => accept(type) || fail(`Expected '${type}' but found '${peek().value}'`);
+
+    function parseOr() {
+        let left = parseAnd();
+        while (accept('or')) {
+            const a = left, b = parseAnd();
+            left = (c, d, n, f) => a(c, d, n, f) || b(c, d, n, f);
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (accept('and')) {
+            const a = left, b = parseNot();
+            left = (c, d, n, f) => a(c, d, n, f) && b(c, d, n, f);
+        }
+        return left;
+    }
+
+    function parseNot() {
+        if (accept('not')) {
+            const a = parseNot();
+            return (c, d, n, f) => !a(c, d, n, f);
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        const a = parseSum();
+        const op = peek().type;
+        if (!['>', '>=', '<', '<=', '==', '!='].includes(op)) return a;
+        pos++;
+        const b = parseSum();
+        switch (op) {
+            case '>': return (c, d, n, f) => a(c, d, n, f) > b(c, d, n, f);
+            case '>=': return (c, d, n, f) => a(c, d, n, f) >= b(c, d, n, f);
+            case '<': return (c, d, n, f) => a(c, d, n, f) < b(c, d, n, f);
+            case '<=': return (c, d, n, f) => a(c, d, n, f) <= b(c, d, n, f);
+            case '==': return (c, d, n, f) => a(c, d, n, f) === b(c, d, n, f);
+            case '!=': return (c, d, n, f) => a(c, d, n, f) !== b(c, d, n, f);
+        }
+    }
+
+    function parseSum() {
+        let left = parseTerm();
+        for (let op; (op = accept('+') || accept('-'));) {
+            const a = left, b = parseTerm();
+            left = op.type === '+'
+                ? (c, d, n, f) => a(c, d, n, f) + b(c, d, n, f)
+                : (c, d, n, f) => a(c, d, n, f) - b(c, d, n, f);
+        }
+        return left;
+    }
+
+    function parseTerm() {
+        let left = parseUnary();
+        for (let op; (op = accept('*') || accept('/'));) {
+            const a = left, b = parseUnary();
+            left = op.type === '*'
+                ? (c, d, n, f) => a(c, d, n, f) * b(c, d, n, f)
+                : (c, d, n, f) => a(c, d, n, f) / b(c, d, n, f);
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (accept('-')) {
+            const a = parseUnary();
+            return (c, d, n, f) => -a(c, d, n, f);
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+        if (accept('number')) {
+            const value = token.value;
+            return () => value;
+        }
+        if (accept('(')) {
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (accept('name')) {
+            if (accept('(')) return parseCall(token);
+            const accessor = options.lookup(token.value);
+            if (!accessor) fail(`Unknown name '${token.value}'`, token);
+            return accessor;
+        }
+        fail(`Unexpected '${token.value}'`);
+    }
+
+    function parseCall(token) {
+        // Own keys only, so `toString(1)` is an unknown function rather than Object's
+        const own = (table) => (table && Object.prototype.hasOwnProperty.call(table, token.value) ? table[token.value] : null);
+        const fn = own(options.functions) || own(RULE_FUNCTIONS);
+        if (!fn) fail(`Unknown function '${token.value}'`, token);
+        const args = [];
+        if (!accept(')')) {
+            do args.push(parseSum()); while (accept(','));
+            expect(')');
+        }
+        // The usual arities get a closure each, so evaluating them builds no argument array
+        const [first, second] = args;
+        switch (args.length) {
+            case 0: return (c, d, n, f) => fn(c, d, n, f);
+            case 1: return (c, d, n, f) => fn(c, d, n, f, first(c, d, n, f));
+            case 2: return (c, d, n, f) => fn(c, d, n, f, first(c, d, n, f), second(c, d, n, f));
+            default: return (c, d, n, f) => fn(c, d, n, f, ...args.map(arg => arg(c, d, n, f)));
+        }
+    }
+
+    const condition = parseOr();
+    const arrow = expect('->');
+    const actionToken = peek();
+    const action = expect('name').value;
+    if (!options.actions.includes(action)) {
+        fail(`Unknown action '${action}' (expected ${options.actions.join(', ')})`, actionToken);
+    }
+    let priority = 0;
+    if (accept('@')) {
+        const negative = accept('-');
+        priority = expect('number').value * (negative ? -1 : 1);
+    }
+    expect('end');
+
+    return {
+        condition: (c, d, n, f) => Boolean(condition(c, d, n, f)),
+        action,
+        priority,
+        // Canonical text without priority or comment, see formatRule()
+        source: `${text.slice(0, arrow.column - 1).trim()} -> ${action}`,
+        line
+    };
+}
+
+// Back to a line of text, priority included
+function formatRule(rule) {
+    return rule.priority ? `${rule.source} @ ${rule.priority}` : rule.source;
+}
+
+// Parses a whole rule set. Every line is checked, so the editor can show all
+// problems at once; rules is only meaningful when errors is empty.
+// options: { actions: string[], lookup(name) -> accessor | undefined, functions? }
+// Extra functions follow the RULE_FUNCTIONS signature.
+function parseRules(text, options) {
+    const rules = [];
+    const errors = [];
+    text.split('\n').forEach((lineText, i) => {
+        if (!lineText.trim() || lineText.trim().startsWith('#')) return;
+        try {
+            rules.push(parseRuleLine(lineText, i + 1, options));
+        } catch (e) {
+            if (!(e instanceof RuleSyntaxError)) throw e;
+            errors.push(e);
+        }
+    });
+    return { rules, errors };
+}
+
+// Node (engine.js tests): the same names as a CommonJS module
+if (typeof module === 'object' && module.exports) {
+    module.exports = { RuleSyntaxError, RULE_KEYWORDS, RULE_FUNCTIONS, tokenizeRule, parseRuleLine, formatRule, parseRules };
+}
@@ -33,16 +33,20 @@ window.addEventListener('resize', resize);
 // Initial resize called after grid logic ensures elements exist
 setTimeout(resize, 0);
 
+function createAudioGraph() {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    analyser = audioCtx.createAnalyser();
+    analyser.fftSize = 2048; // High res for details
+
+    const bufferLength = analyser.frequencyBinCount;
+    dataArray = new Uint8Array(bufferLength);
+}
+
 async function initAudio() {
     if (audioCtx) return;
 
     try {
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-        analyser = audioCtx.createAnalyser();
-        analyser.fftSize = 2048; // High res for details
-
-        const bufferLength = analyser.frequencyBinCount;
-        dataArray = new Uint8Array(bufferLength);
+        createAudioGraph();
 
         const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
         source = audioCtx.createMediaStreamSource(stream);
@@ -57,6 +61,43 @@ async function initAudio() {
     }
 }
 
+// Audio file input (audio-file.js) - replaces the mic while a file is loaded
+let filePlayer;
+const transport = setupFileInput(initFileAudio);
+
+// Recording (capture.js), fed once per rendered frame
+const capture = setupCapture(() => analyser);
+
+// Frame tapes (frame-recorder.js): a loaded tape stands in for the mic
+const frameTape = setupFrameTape(() => analyser, () => {
+    overlay.classList.add('hidden');
+    if (!isRunning) {
+        isRunning = true;
+        draw();
+    }
+});
+
+async function initFileAudio(file) {
+    try {
+        if (!audioCtx) createAudioGraph();
+        if (source) source.disconnect();
+        if (!filePlayer) filePlayer = new FilePlayer(audioCtx, analyser);
+
+        await filePlayer.load(file);
+        transport.attach(filePlayer);
+        filePlayer.play();
+
+        overlay.classList.add('hidden');
+        if (!isRunning) {
+            isRunning = true;
+            draw();
+        }
+    } catch (err) {
+        console.error('Error loading file:', err);
+        overlay.textContent = 'Could not decode audio file';
+    }
+}
+
 // Visualization Functions
 // Each takes (ctx, width, height, data, time)
 const v = {
@@ -182,13 +223,9 @@ function generateVisualizers() {
         ctx.stroke();
     });
 
-    // 7-12: Frequency Domain (Using same data array for now, let's switch to FFT for half?)
-    // Actually we only have time domain data in 'dataArray' currently.
-    // Let's create a second array for FFT inside the loop if needed, or just map time domain differently.
-    // For simplicity and "Live Signal" raw feel, variations of time domain are cool, but FFT is better.
-    // We should allocate a byteFrequencyData array too.
-
-    // ... For now, let's stick to clever mappings of the time/waveform data to keep code simple & fast.
+    // 7-12: Originally meant for frequency data. The Input picker (audio-spectrum.js)
+    // now swaps dataArray for the spectrum or log/mel bands across all 24 at once,
+    // so these stay clever mappings of whatever array they're handed.
 
     visualizers.push((ctx, w, h, d) => { // 7. Points
         for (let i = 0; i < d.length; i += 10) {
@@ -279,10 +316,11 @@ function draw() {
     if (!isRunning) return;
     requestAnimationFrame(draw);
 
-    if (analyser) {
-        analyser.getByteTimeDomainData(dataArray);
-        // Optional: Get Frequency data too if we implemented it, 
-        // but for now we reuse time data for pure "raw signal" focus.
+    const input = frameTape.frame(analyser); // Live analyser, or the tape being replayed
+    if (input) {
+        // Raw waveform by default; the Input picker (audio-spectrum.js) can switch
+        // every visualizer to the spectrum or log/mel bands.
+        dataArray = readAnalyser(input);
     }
 
     // Common style
@@ -310,9 +348,12 @@ function draw() {
             visualizers[i](ctx, w, h, dataArray);
         }
     }
+
+    capture.frame();
 }
 
 window.addEventListener('click', () => {
+    if (frameTape.replaying) return; // Clicks shouldn't start the mic over a tape
     if (!audioCtx) {
         initAudio();
     } else if (audioCtx.state === 'suspended') {
@@ -41,13 +41,17 @@ window.addEventListener('resize', resize);
 // Initial resize
 setTimeout(resize, 0);
 
+function createAudioGraph() {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    analyser = audioCtx.createAnalyser();
+    analyser.fftSize = 2048;
+    dataArray = new Uint8Array(analyser.frequencyBinCount);
+}
+
 async function initAudio() {
     if (audioCtx) return;
     try {
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-        analyser = audioCtx.createAnalyser();
-        analyser.fftSize = 2048;
-        dataArray = new Uint8Array(analyser.frequencyBinCount);
+        createAudioGraph();
 
         const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
         source = audioCtx.createMediaStreamSource(stream);
@@ -63,6 +67,49 @@ async function initAudio() {
     }
 }
 
+// Audio file input (audio-file.js) - replaces the mic while a file is loaded
+let filePlayer;
+const transport = setupFileInput(initFileAudio);
+
+// Recording (capture.js), fed once per rendered frame
+const capture = setupCapture(() => analyser);
+
+// Frame tapes (frame-recorder.js): a loaded tape stands in for the mic
+const frameTape = setupFrameTape(() => analyser, () => {
+    overlay.classList.add('hidden');
+    if (!isRunning) {
+        isRunning = true;
+        loop();
+    }
+});
+
+// Seed for the particles (prng.js); a new seed also clears the ones in flight
+setupSeedControl((seed) => {
+    seedRandom(seed);
+    particles = [];
+});
+
+async function initFileAudio(file) {
+    try {
+        if (!audioCtx) createAudioGraph();
+        if (source) source.disconnect();
+        if (!filePlayer) filePlayer = new FilePlayer(audioCtx, analyser);
+
+        await filePlayer.load(file);
+        transport.attach(filePlayer);
+        filePlayer.play();
+
+        overlay.classList.add('hidden');
+        if (!isRunning) {
+            isRunning = true;
+            loop();
+        }
+    } catch (e) {
+        console.error(e);
+        overlay.textContent = "Could not decode audio file";
+    }
+}
+
 // State for smoothed/derived sketches
 let smoothedAmp = 0;
 let prevAmp = 0;
@@ -74,10 +121,10 @@ class Particle {
     constructor(x, y, v, w, h) {
         this.x = x;
         this.y = y;
-        this.vx = (Math.random() - 0.5) * v;
-        this.vy = (Math.random() - 0.5) * v;
+        this.vx = (random() - 0.5) * v;
+        this.vy = (random() - 0.5) * v;
         this.life = 1.0;
-        this.decay = 0.05 + Math.random() * 0.05; // Faster decay for small box
+        this.decay = 0.05 + random() * 0.05; // Faster decay for small box
         this.w = w;
         this.h = h;
     }
@@ -94,23 +141,18 @@ class Particle {
     }
 }
 
-function getVolume(data) {
-    let sum = 0;
-    for (let i = 0; i < data.length; i++) {
-        sum += Math.abs(data[i] - 128);
-    }
-    return sum / data.length; // approx 0-128
-}
-
-
 function loop() {
     if (!isRunning) return;
     requestAnimationFrame(loop);
 
-    analyser.getByteTimeDomainData(dataArray);
+    const input = frameTape.frame(analyser); // Live analyser, or the tape being replayed
+    if (input) { // None after a tape is ejected with no mic: keep the last frame's data
+        dataArray = readAnalyser(input); // Waveform or spectrum, see audio-spectrum.js
 
-    const vol = getVolume(dataArray);
-    const rawAmp = vol;
+        // Volume comes from the shared features (audio-features.js), so it's the same in every input mode
+        updateFeaturesFromAnalyser(input);
+    }
+    const rawAmp = features.amplitude * 128; // Mean deviation from silence, 0 - ~128
 
     // Update Global State
     smoothedAmp = lerp(smoothedAmp, rawAmp, 0.1);
@@ -174,7 +216,7 @@ function loop() {
                 break;
 
             case 2: // Threshold
-                if (rawAmp > 30) {
+                if (rawAmp > 30 || features.onset) { // Onsets flash too, even when quiet
                     ctx.fillRect(0, 0, w, h);
                 } else {
                     ctx.beginPath();
@@ -223,9 +265,12 @@ function loop() {
                 break;
         }
     });
+
+    capture.frame();
 }
 
 window.addEventListener('click', () => {
+    if (frameTape.replaying) return; // Clicks shouldn't start the mic over a tape
     if (!audioCtx) initAudio();
     else if (audioCtx.state === 'suspended') audioCtx.resume();
 });
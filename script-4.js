@@ -1,30 +1,111 @@
 const canvas = document.getElementById('gridCanvas');
 const ctx = canvas.getContext('2d');
+const glCanvas = document.getElementById('glCanvas');
 const overlay = document.getElementById('overlay');
 const info = document.getElementById('info');
+const rulesEditor = document.getElementById('rulesEditor');
+const rulesErrors = document.getElementById('rulesErrors');
+const renderModeSelect = document.getElementById('renderMode');
+const rendererSelect = document.getElementById('renderer');
+const topologySelect = document.getElementById('topology');
+const evalModeSelect = document.getElementById('evalMode');
+const dataMappingSelect = document.getElementById('dataMapping');
+const transitionSelect = document.getElementById('transition');
+const regionSelect = document.getElementById('region');
+const ruleStats = document.getElementById('ruleStats');
+const driftToggle = document.getElementById('drift');
+const favoritesCount = document.getElementById('favoritesCount');
+const lifeRuleInput = document.getElementById('lifeRule');
+const lifeRuleList = document.getElementById('lifeRules');
 
 // Constants
-const CELL_SIZE = 24;
+const CELL_SIZE = 24; // Default, the Display sliders change it (PARAMS.display)
 const GAP = 1; // Minimal gap as per seed4.md
 const BG_COLOR = '#0a0a0a';
 const ON_COLOR = '#e0e0e0';
 const OFF_COLOR = '#111111';
+const SCATTER_DOT = 2; // Pixel size for 'scatter'
+const TRACE_DURATION = 500; // 0.5 seconds in ms
+const TRACE_COLOR = 'rgba(255, 255, 255, 0.1)';
+const INSET = 5; // Margin of the inner square in 'inset' mode (less on small cells)
+const DITHER_DOT = 2; // Pixel size of one Bayer cell
+
+// Render Modes (independent of the mapping level)
+// 'auto' keeps each level's own look: opacity on Level 1, binary elsewhere.
+const RENDER_MODES = {
+    auto: 'Auto',
+    binary: 'Binary',
+    grayscale: 'Grayscale',
+    dither: 'Dither',
+    outline: 'Outline',
+    inset: 'Inset'
+};
+const RENDER_MODE_KEYS = Object.keys(RENDER_MODES);
+
+// Renderers: the same picture either way. WebGL (renderer-gl.js) draws the grid
+// in one pass on a canvas under the 2D one, which then only carries the inspector.
+const RENDERERS = {
+    canvas: 'Canvas 2D',
+    webgl: 'WebGL'
+};
 
 // Exposed Parameters
+// Keyed by level number (defaults in engine.js LEVEL_DEFAULTS), plus display (cell
+// geometry, shared by every region). The levelN entries are the focused region's
+// (see Split Screen).
 const PARAMS = {
-    level0: { threshold: 0.1 },
-    level1: { opacityGain: 8.0 },
-    level2: { smoothing: 0.125, threshold: 0.1 },
-    level3: { probabilityScale: 0.5 },
-    level4: { threshold: 0.1 },
-    level5: { activeThreshold: 0.01, inactiveThreshold: 0.01, neighborLimit: 2.5 },
+    ...defaultLevels(),
+    display: { cellSize: CELL_SIZE, gap: GAP, transitionTime: 600, regions: 1 }
+};
+
+// Slider ranges for every PARAMS entry, the panel in index.html builds itself from these
+const PARAM_SCHEMA = {
+    level0: {
+        threshold: { label: 'Threshold', min: 0, max: 1, step: 0.01 }
+    },
+    level1: {
+        opacityGain: { label: 'Opacity Gain', min: 0, max: 20, step: 0.5 }
+    },
+    level2: {
+        smoothing: { label: 'Smoothing', min: 0.005, max: 1, step: 0.005 },
+        threshold: { label: 'Threshold', min: 0, max: 1, step: 0.01 }
+    },
+    level3: {
+        probabilityScale: { label: 'Probability Scale', min: 0, max: 2, step: 0.05 }
+    },
+    level4: {
+        threshold: { label: 'Threshold', min: 0, max: 1, step: 0.01 }
+    },
+    level5: {
+        loudThreshold: { label: 'Loud Threshold', min: 0, max: 1, step: 0.01 },
+        quietThreshold: { label: 'Quiet Threshold', min: 0, max: 1, step: 0.01 },
+        flipMin: { label: 'Flip Min', min: 0, max: 1, step: 0.01 },
+        flipMax: { label: 'Flip Max', min: 0, max: 1, step: 0.01 },
+        flipChance: { label: 'Flip Chance', min: 0, max: 1, step: 0.01 },
+        rippleSpeed: { label: 'Ripple Speed', min: 0, max: 20, step: 1 },
+        subdivideThreshold: { label: 'Subdivide Threshold', min: 0, max: 1, step: 0.01 },
+        historyFrames: { label: 'History Frames', min: 1, max: 120, step: 1 }
+    },
     level6: {
-        loudThreshold: 0.7,
-        quietThreshold: 0.01,
-        flipMin: 0.4,
-        flipMax: 0.6,
-        flipChance: 0.9,
-        rippleSpeed: 1
+        threshold: { label: 'Threshold', min: 0, max: 1, step: 0.01 },
+        speed: { label: 'Frames per Column', min: 1, max: 30, step: 1 },
+        opacityGain: { label: 'Opacity Gain', min: 0, max: 20, step: 0.5 }
+    },
+    level7: {
+        activeThreshold: { label: 'Active Threshold', min: 0, max: 1, step: 0.01 },
+        inactiveThreshold: { label: 'Inactive Threshold', min: 0, max: 1, step: 0.01 },
+        neighborLimit: { label: 'Neighbor Limit', min: 0, max: 8, step: 1 },
+        sparkThreshold: { label: 'Spark Threshold', min: 0, max: 1, step: 0.01 }
+    },
+    level8: {
+        injectThreshold: { label: 'Inject Threshold', min: 0, max: 1, step: 0.01 },
+        boostThreshold: { label: 'Boost Threshold', min: 0, max: 1, step: 0.01 }
+    },
+    display: {
+        cellSize: { label: 'Cell Size', min: 6, max: 64, step: 1 },
+        gap: { label: 'Gap', min: 0, max: 6, step: 1 },
+        transitionTime: { label: 'Transition (ms)', min: 0, max: 3000, step: 50 },
+        regions: { label: 'Regions', min: 1, max: 8, step: 1 }
     }
 };
 
@@ -36,82 +117,494 @@ let source;
 let isRunning = false;
 let isPaused = false;
 let currentLevel = 0;
-let frameOffset = 0; // Time-varying offset for ripple effect
+let currentSource = 'audio';
+let renderMode = 'auto';
+let topology = 'square4';
+let dataMapping = 'wrap';
+let transition = 'crossfade'; // Level change effect (TRANSITIONS in engine.js)
 
-// Grid State
-let cols = 0;
-let rows = 0;
-let cubes = [];
+// Grid State (engine.js): cubes, frame counters, ripple offset
+let sim = null;
+
+// Grid geometry in pixels, from PARAMS.display (see syncGeometry).
+// Hex grids are pointy-top with odd rows shifted right by half a cell.
+const geometry = {
+    size: 0,
+    gap: 0,
+    inset: 0,
+    hexHeight: 0, // Point to point
+    rowStep: 0
+};
 
-// Helpers
+// Helpers (lerp comes from engine.js)
 const map = (value, x1, y1, x2, y2) => (value - x1) * (y2 - x2) / (y1 - x1) + x2;
-const lerp = (start, end, amt) => (1 - amt) * start + amt * end;
-const random = () => Math.random();
-
-
-
-class Cube {
-    constructor(index, x, y, c, r, level) {
-        this.index = index; // Linear index within the full grid
-        this.x = x;
-        this.y = y;
-        this.c = c; // column index
-        this.r = r; // row index
-        this.level = level; // Level this cube belongs to
-        this.value = 0;
-        this.state = false; // on/off
-        this.prevState = false; // for detecting transitions
-        this.prevValue = 0;
-        this.traceTime = 0; // timestamp when cube turned off
+
+const LEVEL_NAMES = [
+    "Level 0: Direct Threshold",
+    "Level 1: Opacity",
+    "Level 2: Smoothed Threshold",
+    "Level 3: Probabilistic",
+    "Level 4: Entropy Scatter",
+    "Level 5: Expression Grammar",
+    "Level 6: Spectrogram",
+    "Level 7: Neighborhood",
+    "Level 8: Cellular Automaton"
+];
+
+// Split Screen
+// The canvas can be split into regions, each a grid of its own with its own level
+// and copy of the level parameters, all stepped on the same input frame. The
+// panel, level keys and inspector work on the focused region: `sim`,
+// `currentLevel` and PARAMS.levelN always belong to it (focusRegion swaps them).
+const REGION_GAP = 8; // px between regions
+const REGION_FONT = '11px monospace';
+const LEVEL_KEYS = LEVEL_NAMES.map((_, level) => `level${level}`);
+
+// { level, levels (PARAMS.levelN objects), sim, box (px on the canvas) }
+const regions = [{ level: 0, levels: {}, sim: null, box: null }];
+LEVEL_KEYS.forEach(key => { regions[0].levels[key] = PARAMS[key]; });
+let focusedRegion = 0;
+
+const regionLabel = (k) => String.fromCharCode(65 + k); // A, B, C, ...
+
+// Perlin noise (2D, classic gradient noise) for the organic data source.
+// The permutation comes from random(), so it's rebuilt whenever the seed changes.
+function createNoise() {
+    const perm = new Uint8Array(512);
+    const p = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [p[i], p[j]] = [p[j], p[i]];
+    }
+    for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+
+    const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+    const grad = (hash, x, y) => {
+        const h = hash & 3;
+        return ((h & 1) ? -x : x) + ((h & 2) ? -y : y);
+    };
+
+    // Returns roughly -1..1
+    return (x, y) => {
+        const X = Math.floor(x) & 255;
+        const Y = Math.floor(y) & 255;
+        x -= Math.floor(x);
+        y -= Math.floor(y);
+        const u = fade(x);
+        const v = fade(y);
+        const a = perm[X] + Y;
+        const b = perm[X + 1] + Y;
+        return lerp(
+            lerp(grad(perm[a], x, y), grad(perm[b], x - 1, y), u),
+            lerp(grad(perm[a + 1], x, y - 1), grad(perm[b + 1], x - 1, y - 1), u),
+            v
+        );
+    };
+}
+let noise = createNoise();
+
+// Data Sources
+// Every source returns a normalized 0-1 array; update() pulls from the active one each frame.
+// Most fill the shared buffer they're given, but the length can differ (spectrum bands).
+// Only 'audio' needs a microphone, the rest run anywhere.
+const DATA_LENGTH = 1024;
+
+const sources = {
+    audio: {
+        label: 'Audio',
+        needsAudio: true,
+        read(out) {
+            // Spectrum modes (audio-spectrum.js) are already 0-1 levels, per bin or band
+            if (inputSettings.mode !== 'time') return readSpectrum(audioInput);
+
+            dataArray = readAnalyser(audioInput);
+            const rms = features.rms; // Volume normalization, see update()
+
+            // Normalize factor: boost quiet signals, cap loud signals
+            // Target RMS around 0.15 for consistent visualization
+            const targetRMS = 0.15;
+            const normalizeFactor = rms > 0.01 ? Math.min(targetRMS / rms, 3.0) : 1.0;
+
+            // dataArray contains raw waveform 0-255, 128 is silence.
+            // We want magnitude 0-1, normalized by current volume
+            for (let i = 0; i < out.length; i++) {
+                const raw = Math.abs(dataArray[i % dataArray.length] - 128) / 128;
+                out[i] = Math.min(raw * normalizeFactor, 1.0);
+            }
+            return out;
+        }
+    },
+    random: {
+        label: 'Random',
+        read(out) {
+            for (let i = 0; i < out.length; i++) out[i] = random();
+            return out;
+        }
+    },
+    gradient: {
+        label: 'Gradient',
+        // Ramp 0-1 across the buffer, slowly scrolling
+        read(out) {
+            const shift = sim.frameCount * 0.002;
+            for (let i = 0; i < out.length; i++) out[i] = (i / out.length + shift) % 1;
+            return out;
+        }
+    },
+    noise: {
+        label: 'Perlin Noise',
+        read(out) {
+            const t = sim.frameCount * 0.01;
+            for (let i = 0; i < out.length; i++) {
+                out[i] = Math.min(Math.max(noise(i * 0.02, t) * 0.7 + 0.5, 0), 1);
+            }
+            return out;
+        }
     }
+};
+const SOURCE_KEYS = Object.keys(sources);
+const sourceData = new Float32Array(DATA_LENGTH);
+
+// Synthetic sources have no analyser: their 0-1 data doubles as the spectrum,
+// and centered around 0.5 as the waveform
+const featureSignal = new Float32Array(DATA_LENGTH);
+function sourceFeatures(data) {
+    const signal = data.length === featureSignal.length ? featureSignal : new Float32Array(data.length);
+    for (let i = 0; i < data.length; i++) signal[i] = data[i] * 2 - 1;
+    return computeFeatures(signal, data);
 }
 
 // Rules Engine Setup
-// Actions: 'on', 'off', 'flip', 'scatter', 'decay', 'propagate', 'invert'
-// We'll implement a subset that fits the visual style.
-const rules = [
-    // Loud = on
-    { condition: (c, d) => d[c.index % d.length] > PARAMS.level6.loudThreshold, action: 'on' },
-    // Quiet + isolated = off (simplified neighborhood for performance)
-    { condition: (c, d) => d[c.index % d.length] < PARAMS.level6.quietThreshold, action: 'off' }, // Neighborhood is expensive to calc every frame for all rules if not careful, simplifying for now
-    // Random flip
-    { condition: (c, d) => d[c.index % d.length] > PARAMS.level6.flipMin && d[c.index % d.length] < PARAMS.level6.flipMax && random() > PARAMS.level6.flipChance, action: 'flip' }
-];
+// Rules are compiled and run by engine.js and edited live in the panel.
+// Besides the engine's names, conditions can use any PARAMS.level5 slider.
+// Every region runs the same rules, each reading its own sliders: ruleLevels is
+// the parameter set of the region being stepped.
+let ruleLevels = regions[0].levels;
+const ruleParams = {};
+Object.keys(PARAMS.level5).forEach(name => {
+    Object.defineProperty(ruleParams, name, { enumerable: true, get: () => ruleLevels.level5[name] });
+});
 
+const DEFAULT_RULES = [
+    '# Loud = on',
+    'd > loudThreshold -> on',
+    '# Quiet = off',
+    'd < quietThreshold -> off',
+    '# Random flip at medium values',
+    'd > flipMin and d < flipMax and random > flipChance -> flip'
+].join('\n');
+
+const rules = [];
+let rulesText = ''; // The text rules came from: the editor may hold a broken edit
+let evalMode = 'first';
+let evalOrder = []; // rules in the order the current mode evaluates them
+
+// Parses and, if valid, hot-swaps the active rule set. Returns the syntax errors.
+function setRulesText(text) {
+    const parsed = compileRules(text, { params: ruleParams, random: () => random() });
+    if (parsed.errors.length === 0) {
+        rules.length = 0;
+        rules.push(...parsed.rules);
+        rulesText = text;
+        updateEvalOrder();
+    }
+    return parsed.errors;
+}
+
+function updateEvalOrder() {
+    evalOrder = orderRules(rules, evalMode);
+    renderRuleStats();
+}
+
+function setEvalMode(mode) {
+    evalMode = mode;
+    evalModeSelect.value = mode;
+    updateEvalOrder();
+}
+
+// Shuffles whatever decides the order in the current mode: line order for
+// first-match, priorities otherwise. Works on the rules' own text
+// (rules-evolution.js), so comments and blank lines survive.
 function randomizeRules() {
-    rules.sort(() => random() - 0.5);
+    applyRulesText(evalMode === 'first' ? shuffleRuleOrder(rulesText, random) : shufflePriorities(rulesText, random));
     console.log('Rules randomized');
 }
 
+// Puts text in the editor and swaps it in, showing any errors
+function applyRulesText(text) {
+    rulesEditor.value = text;
+    const errors = setRulesText(text);
+    rulesErrors.textContent = errors.map(e => e.message).join('\n');
+    rulesEditor.classList.toggle('invalid', errors.length > 0);
+}
+
+// Life Rule (Level 8)
+// B/S text from the panel, parsed by engine.js. Like the rules, an edit only
+// takes effect once it parses.
+let lifeRuleText = DEFAULT_LIFE_RULE;
+let lifeRule = parseLifeRule(DEFAULT_LIFE_RULE);
+
+function setLifeRule(text) {
+    const parsed = parseLifeRule(text);
+    if (parsed) {
+        lifeRule = parsed;
+        lifeRuleText = text;
+    }
+    lifeRuleInput.classList.toggle('invalid', !parsed);
+}
+
+function applyLifeRule(text) {
+    lifeRuleInput.value = text;
+    setLifeRule(text);
+}
+
+// Rule Evolution (rules-evolution.js)
+// Threshold drift walks these PARAMS.level5 entries inside their slider ranges
+const DRIFT_RANGES = {};
+['loudThreshold', 'quietThreshold', 'flipMin', 'flipMax', 'flipChance', 'subdivideThreshold'].forEach(key => {
+    const { min, max } = PARAM_SCHEMA.level5[key];
+    DRIFT_RANGES[key] = [min, max];
+});
+const DRIFT_STEP = 0.002; // Fraction of the range per frame, at most
+const DRIFT_ORDERED = [['flipMin', 'flipMax']];
+
+let driftEnabled = false;
+const favorites = []; // Rule set texts the user liked, parents for breeding
+
+function evolutionVocab() {
+    return {
+        actions: ACTIONS,
+        terms: [
+            { name: 'd', min: 0, max: 1 },
+            { name: 'v', min: 0, max: 1 },
+            { name: 'n', min: 0, max: TOPOLOGIES[topology].neighborhood, integer: true },
+            { name: 'rms', min: 0, max: 0.5 },
+            { name: 'entropy', min: 0, max: 1 },
+            { name: 'centroid', min: 0, max: 0.5 },
+            { name: 'hist(2)', min: 0, max: 1 },
+            { name: 'onStreak', min: 0, max: 30, integer: true },
+            { name: 'age', min: 0, max: 30, integer: true },
+            { name: 'random', min: 0, max: 1 }
+        ],
+        params: Object.keys(DRIFT_RANGES)
+    };
+}
+
+function generateRules() {
+    applyRulesText(generateRuleSet(evolutionVocab(), random));
+}
+
+function favoriteRules() {
+    if (!favorites.includes(rulesEditor.value)) favorites.push(rulesEditor.value);
+    favoritesCount.textContent = favorites.length;
+}
+
+// Two different favorites make a child; with only one we mutate it
+function breedRules() {
+    if (favorites.length === 0) return generateRules();
+    if (favorites.length === 1) return applyRulesText(mutateRuleSet(favorites[0], random));
+    const a = Math.floor(random() * favorites.length);
+    const b = (a + 1 + Math.floor(random() * (favorites.length - 1))) % favorites.length;
+    applyRulesText(breedRuleSets(favorites[a], favorites[b], random));
+}
+
+function setDrift(enabled) {
+    driftEnabled = enabled;
+    driftToggle.checked = enabled;
+}
+
+// Per-frame fire counts, listed in evaluation order
+function renderRuleStats() {
+    ruleStats.textContent = evalOrder
+        .map(r => `${String(r.fires).padStart(5)}  ${formatRule(r)}`)
+        .join('\n');
+}
+
+// Presets (presets.js)
+// Everything needed to rebuild a setup; the grid itself is regenerated, not saved.
+function getPresetState() {
+    return {
+        version: 1,
+        level: currentLevel,
+        source: currentSource,
+        renderMode,
+        topology,
+        dataMapping,
+        transition,
+        evalMode,
+        rules: rulesEditor.value,
+        lifeRule: lifeRuleText,
+        drift: driftEnabled,
+        seed: randomSeed,
+        input: { ...inputSettings },
+        params: JSON.parse(JSON.stringify(PARAMS))
+    };
+}
+
+// Only known keys with the right type get through, so old or hand-edited presets can't break anything
+function setPresetState(state) {
+    Object.keys(PARAMS).forEach(level => {
+        const saved = state.params && state.params[level];
+        if (!saved) return;
+        Object.keys(PARAMS[level]).forEach(name => {
+            if (typeof saved[name] === 'number') PARAMS[level][name] = saved[name];
+        });
+    });
+    if (state.input) {
+        if (Object.keys(INPUT_MODES).includes(state.input.mode)) inputSettings.mode = state.input.mode;
+        if (Object.keys(BAND_MODES).includes(state.input.bands)) inputSettings.bands = state.input.bands;
+        if (BAND_COUNTS.includes(state.input.bandCount)) inputSettings.bandCount = state.input.bandCount;
+        inputModeControls.sync();
+    }
+    if (RENDER_MODE_KEYS.includes(state.renderMode)) setRenderMode(state.renderMode);
+    if (TOPOLOGY_KEYS.includes(state.topology) && state.topology !== topology) setTopology(state.topology);
+    if (DATA_MAPPING_KEYS.includes(state.dataMapping)) setDataMapping(state.dataMapping);
+    if (TRANSITION_KEYS.includes(state.transition)) setTransition(state.transition);
+    if (EVAL_MODE_KEYS.includes(state.evalMode)) setEvalMode(state.evalMode);
+    if (typeof state.rules === 'string') applyRulesText(state.rules);
+    if (typeof state.lifeRule === 'string') applyLifeRule(state.lifeRule);
+    if (typeof state.drift === 'boolean') setDrift(state.drift);
+    if (Number.isInteger(state.seed) && state.seed >= 0) setSeed(state.seed);
+    if (LEVEL_NAMES[state.level]) setLevel(state.level); // Also rebuilds the panel sliders
+    if (SOURCE_KEYS.includes(state.source) && state.source !== currentSource) setSource(state.source);
+}
+
 // Initialization
 function resize() {
     canvas.width = window.innerWidth;
     canvas.height = window.innerHeight;
+    if (glRenderer) glRenderer.resize(canvas.width, canvas.height);
 
-    cols = Math.floor(canvas.width / CELL_SIZE);
-    rows = Math.floor(canvas.height / CELL_SIZE);
-
+    syncGeometry();
     initGrid();
 }
 
+// Picks up the Display sliders. Returns true when the cells changed size,
+// which needs a new grid (the gap and inset alone only change the drawing).
+function syncGeometry() {
+    const { cellSize, gap } = PARAMS.display;
+    const size = Math.max(Math.round(cellSize), 2);
+    const resized = size !== geometry.size;
+    geometry.size = size;
+    geometry.gap = Math.min(Math.max(gap, 0), Math.floor((size - 1) / 2)); // Leave at least a pixel
+    geometry.inset = Math.max(Math.min(INSET, Math.floor((size - geometry.gap * 2) / 4)), 0);
+    geometry.hexHeight = size * 2 / Math.sqrt(3);
+    geometry.rowStep = geometry.hexHeight * 0.75;
+    return resized;
+}
+
+// Picks up the Regions slider. Returns true when regions were added or removed.
+// New regions start as a copy of the focused one.
+function syncRegions() {
+    const count = Math.max(Math.round(PARAMS.display.regions), 1);
+    if (count === regions.length) return false;
+    while (regions.length < count) {
+        const levels = JSON.parse(JSON.stringify(regions[focusedRegion].levels));
+        regions.push({ level: currentLevel, levels, sim: null, box: null });
+    }
+    regions.length = count;
+    regionSelect.innerHTML = '';
+    regions.forEach((_, k) => regionSelect.add(new Option(regionLabel(k), k)));
+    focusRegion(Math.min(focusedRegion, count - 1));
+    return true;
+}
+
+// Regions tile the canvas in a near-square grid; a short last row spreads out
+function regionBoxes(count, width, height) {
+    const gridCols = Math.ceil(Math.sqrt(count));
+    const gridRows = Math.ceil(count / gridCols);
+    const h = (height - REGION_GAP * (gridRows - 1)) / gridRows;
+    return Array.from({ length: count }, (_, k) => {
+        const row = Math.floor(k / gridCols);
+        const inRow = Math.min(count - row * gridCols, gridCols);
+        const w = (width - REGION_GAP * (inRow - 1)) / inRow;
+        const col = k - row * gridCols;
+        return {
+            x: Math.round(col * (w + REGION_GAP)),
+            y: Math.round(row * (h + REGION_GAP)),
+            width: Math.floor(w),
+            height: Math.floor(h)
+        };
+    });
+}
+
+// Rebuilds every region's grid for the canvas size, geometry and topology. The
+// new grids carry on from the old ones (createState), so nothing restarts.
 function initGrid() {
-    cubes = [];
-    for (let i = 0; i < rows * cols; i++) {
-        const c = i % cols;
-        const r = Math.floor(i / cols);
-        const x = c * CELL_SIZE;
-        const y = r * CELL_SIZE;
-        cubes.push(new Cube(i, x, y, c, r, currentLevel));
+    const boxes = regionBoxes(regions.length, canvas.width, canvas.height);
+    regions.forEach((region, k) => {
+        region.box = boxes[k];
+        region.sim = buildGrid(region);
+    });
+    sim = regions[focusedRegion].sim;
+}
+
+function buildGrid(region) {
+    const topo = TOPOLOGIES[topology];
+    const { size, hexHeight, rowStep } = geometry;
+    const box = region.box;
+    let cols, rows;
+    if (topo.hex) {
+        // Leave room for the shifted rows; a hex torus needs an even row count to tile
+        cols = Math.floor((box.width - size / 2) / size);
+        rows = Math.floor((box.height - hexHeight / 4) / rowStep);
+        if (topo.wrap) rows -= rows % 2;
+    } else {
+        cols = Math.floor(box.width / size);
+        rows = Math.floor(box.height / size);
     }
+
+    const grid = createState({
+        cols,
+        rows,
+        topology,
+        level: region.level,
+        historyFrames: region.levels.level5.historyFrames,
+        random: () => random() // Late-bound: setSeed swaps the generator
+    }, region.sim);
+    grid.cubes.forEach(cube => {
+        cube.x = box.x + (topo.hex ? cube.c * size + (cube.r % 2) * size / 2 : cube.c * size);
+        cube.y = box.y + (topo.hex ? cube.r * rowStep : cube.r * size);
+    });
+    return grid;
+}
+
+// Hands the panel, level keys and inspector to another region
+function focusRegion(k) {
+    focusedRegion = k;
+    const region = regions[k];
+    LEVEL_KEYS.forEach(key => { PARAMS[key] = region.levels[key]; });
+    currentLevel = region.level;
+    sim = region.sim;
+    ruleLevels = region.levels;
+    regionSelect.value = k;
+    pinned.clear(); // Pins are cube indices in the old region's grid
+    hoverIndex = -1;
+    updateInfo();
+    buildLevelParams(); // index.html panel
+}
+
+function regionAt(x, y) {
+    return regions.findIndex(({ box }) => box && x >= box.x && x < box.x + box.width && y >= box.y && y < box.y + box.height);
+}
+
+function setTopology(key) {
+    topology = key;
+    topologySelect.value = key;
+    initGrid();
+    updateInfo();
+}
+
+function createAudioGraph() {
+    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+    analyser = audioCtx.createAnalyser();
+    analyser.fftSize = 2048; // Should give enough data points
+    dataArray = new Uint8Array(analyser.frequencyBinCount); // 1024
 }
 
 async function initAudio() {
     if (audioCtx) return;
     try {
-        audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-        analyser = audioCtx.createAnalyser();
-        analyser.fftSize = 2048; // Should give enough data points
-        dataArray = new Uint8Array(analyser.frequencyBinCount); // 1024
+        createAudioGraph();
 
         const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
         source = audioCtx.createMediaStreamSource(stream);
@@ -119,186 +612,482 @@ async function initAudio() {
 
         overlay.classList.add('hidden');
         isRunning = true;
-
-        loop();
     } catch (e) {
         console.error(e);
         overlay.textContent = "Mic Access Denied / Error";
     }
 }
 
-// Core Logic
-function getNeighbors(cube) {
-    // 4-connectivity or 8-connectivity? "adjacent" usually means 4 or 8.
-    // Let's do 4 for simplicity.
-    let count = 0;
-    const dirs = [[0, -1], [0, 1], [-1, 0], [1, 0]];
-    for (let [dx, dy] of dirs) {
-        const nc = cube.c + dx;
-        const nr = cube.r + dy;
-        if (nc >= 0 && nc < cols && nr >= 0 && nr < rows) {
-            const idx = nr * cols + nc;
-            if (cubes[idx] && cubes[idx].state) count++;
-        }
+// Audio file input (audio-file.js) - replaces the mic while a file is loaded
+let filePlayer;
+const transport = setupFileInput(initFileAudio);
+
+// Recording (capture.js), fed once per rendered frame
+const capture = setupCapture(() => analyser);
+
+// Frame tapes (frame-recorder.js): a loaded tape replaces the analyser for the Audio source
+const frameTape = setupFrameTape(() => analyser, () => setSource('audio'));
+let audioInput; // Analyser the Audio source reads this frame
+
+async function initFileAudio(file) {
+    try {
+        if (!audioCtx) createAudioGraph();
+        if (source) source.disconnect();
+        if (!filePlayer) filePlayer = new FilePlayer(audioCtx, analyser);
+
+        await filePlayer.load(file);
+        transport.attach(filePlayer);
+        filePlayer.play();
+
+        setSource('audio');
+    } catch (e) {
+        console.error(e);
+        overlay.textContent = "Could not decode audio file";
+    }
+}
+
+function setSource(key) {
+    currentSource = key;
+    if (sources[key].needsAudio && !analyser && !frameTape.replaying) {
+        initAudio(); // Starts running once the mic is granted
+    } else {
+        overlay.classList.add('hidden');
+        isRunning = true;
     }
-    return count;
+    updateInfo();
+}
+
+function setLevel(level) {
+    if (level !== currentLevel) startTransition(sim, transition, PARAMS.display.transitionTime, performance.now());
+    currentLevel = level;
+    regions[focusedRegion].level = level;
+    // Scatter/subdivide only mean something to the rules engine
+    sim.cubes.forEach(cube => {
+        cube.level = level;
+        cube.mode = 'solid';
+        cube.sub = null;
+    });
+    updateInfo();
+    buildLevelParams(); // index.html panel
+}
+
+// Falls back to Canvas 2D when WebGL2 isn't there
+function setRenderer(key) {
+    renderer = key === 'webgl' && glRenderer ? 'webgl' : 'canvas';
+    rendererSelect.value = renderer;
+    glCanvas.style.display = renderer === 'webgl' ? '' : 'none';
 }
 
+function setRenderMode(mode) {
+    renderMode = mode;
+    renderModeSelect.value = mode;
+    updateInfo();
+}
+
+function updateInfo() {
+    const region = regions.length > 1 ? `Region ${regionLabel(focusedRegion)} · ` : '';
+    info.textContent = `${region}${LEVEL_NAMES[currentLevel]} · ${sources[currentSource].label} · ${RENDER_MODES[renderMode]} · ${TOPOLOGIES[topology].label} · Seed ${randomSeed}`;
+}
+
+// Restarts the run from a seed (prng.js): fresh grid, noise and frame counter,
+// so the same seed on the same input plays back the same frames
+function setSeed(seed) {
+    seedRandom(seed);
+    noise = createNoise();
+    resetFeatures();
+    regions.forEach(region => { region.sim = null; }); // Counters restart too
+    initGrid();
+    rules.forEach(r => { r.fires = 0; });
+    seedControl.sync();
+    updateInfo();
+}
+
+// Core Logic
+function setDataMapping(mapping) {
+    dataMapping = mapping;
+    dataMappingSelect.value = mapping;
+}
+
+function setTransition(key) {
+    transition = key;
+    transitionSelect.value = key;
+}
+
+// One frame: read the source, then let the engine (engine.js) step the grid
 function update() {
     if (!isRunning || isPaused) return;
 
-    analyser.getByteTimeDomainData(dataArray);
+    // Features once per frame: from the analyser for audio (the waveform
+    // normalization uses features.rms), from the data itself otherwise
+    const source = sources[currentSource];
+    audioInput = frameTape.frame(analyser);
+    if (source.needsAudio && !audioInput) return; // Tape ejected with no mic: hold the last frame
+    if (source.needsAudio) updateFeaturesFromAnalyser(audioInput);
+    const normalizedData = source.read(sourceData);
+    if (!source.needsAudio) sourceFeatures(normalizedData);
+
+    // Every region on the same frame. The focused one goes last, so the rule
+    // fire counts are its own.
+    const now = performance.now();
+    regions.forEach((region, k) => {
+        if (k !== focusedRegion) stepRegion(region, normalizedData, now);
+    });
+    stepRegion(regions[focusedRegion], normalizedData, now);
 
-    // Calculate RMS (Root Mean Square) for volume normalization
-    let sumSquares = 0;
-    for (let i = 0; i < dataArray.length; i++) {
-        const deviation = (dataArray[i] - 128) / 128;
-        sumSquares += deviation * deviation;
+    if (driftEnabled) {
+        driftParams(PARAMS.level5, DRIFT_RANGES, random, DRIFT_STEP, DRIFT_ORDERED);
+        if (sim.frameCount % 6 === 0) refreshSliders(); // index.html panel
     }
-    const rms = Math.sqrt(sumSquares / dataArray.length);
-
-    // Normalize factor: boost quiet signals, cap loud signals
-    // Target RMS around 0.15 for consistent visualization
-    const targetRMS = 0.15;
-    const normalizeFactor = rms > 0.01 ? Math.min(targetRMS / rms, 3.0) : 1.0;
-
-    // Normalize data 0-1
-    // dataArray contains raw waveform 0-255, 128 is silence.
-    // We want magnitude 0-1, normalized by current volume
-    const normalizedData = new Float32Array(dataArray.length);
-    for (let i = 0; i < dataArray.length; i++) {
-        const raw = Math.abs(dataArray[i] - 128) / 128;
-        normalizedData[i] = Math.min(raw * normalizeFactor, 1.0);
+
+    // Fire counts, refreshed a few times a second
+    if (currentLevel === 5 && sim.frameCount % 10 === 0) renderRuleStats();
+}
+
+function stepRegion(region, data, now) {
+    ruleLevels = region.levels;
+    step(region.sim, data, {
+        level: region.level,
+        levels: region.levels,
+        rules: evalOrder,
+        evalMode,
+        dataMapping,
+        features,
+        lifeRule,
+        now
+    });
+}
+
+// Ordered dither: 4×4 Bayer matrix, one canvas pattern per threshold level (0-16).
+// Patterns are anchored to the canvas, so neighboring cubes dither seamlessly.
+const BAYER_4 = [
+    0, 8, 2, 10,
+    12, 4, 14, 6,
+    3, 11, 1, 9,
+    15, 7, 13, 5
+];
+const ditherPatterns = BAYER_4.concat(16).map((_, level) => {
+    const tile = document.createElement('canvas');
+    tile.width = tile.height = 4 * DITHER_DOT;
+    const tctx = tile.getContext('2d');
+    tctx.fillStyle = OFF_COLOR;
+    tctx.fillRect(0, 0, tile.width, tile.height);
+    tctx.fillStyle = ON_COLOR;
+    BAYER_4.forEach((threshold, i) => {
+        if (threshold < level) tctx.fillRect((i % 4) * DITHER_DOT, Math.floor(i / 4) * DITHER_DOT, DITHER_DOT, DITHER_DOT);
+    });
+    return ctx.createPattern(tile, 'repeat');
+});
+
+const glRenderer = createGridRenderer(glCanvas, {
+    ditherDot: DITHER_DOT,
+    scatterDot: SCATTER_DOT,
+    subdivisions: SUBDIVISIONS,
+    bayer: BAYER_4,
+    background: BG_COLOR,
+    on: ON_COLOR,
+    off: OFF_COLOR,
+    trace: TRACE_COLOR,
+    traceDuration: TRACE_DURATION
+});
+let renderer = 'canvas';
+
+function resolveRenderMode(level) {
+    if (renderMode !== 'auto') return renderMode;
+    return level === 1 ? 'grayscale' : 'binary';
+}
+
+// 0-1 brightness for the value-driven modes, scaled by the level's Opacity Gain if it has one
+function intensityGain(region) {
+    const params = region.levels[`level${region.level}`];
+    return 'opacityGain' in params ? params.opacityGain : 1;
+}
+
+// Drawing reads the cubes' shown value and state (engine.js): the level's own,
+// or mid-transition the mix with the old level's last frame
+function cubeIntensity(cube, gain) {
+    return Math.min(cube.shownValue * gain, 1);
+}
+
+// ON while on, a faint trace for a moment after turning off, OFF otherwise
+function stateFill(cube, now) {
+    if (cube.shownState) return ON_COLOR;
+    const elapsed = now - cube.traceTime;
+    if (elapsed < TRACE_DURATION && cube.traceTime > 0) return TRACE_COLOR;
+    return OFF_COLOR;
+}
+
+// Cell Geometry
+// Square cells draw as the square inside the gap; hex cells as a hexagon path.
+// inset shrinks the shape further (for 'inset' mode).
+function hexPath(cube, inset) {
+    const { size, gap, hexHeight } = geometry;
+    const cx = cube.x + size / 2;
+    const cy = cube.y + hexHeight / 2;
+    // Circumradius that leaves the gap between the flat sides
+    const radius = (size / 2 - gap - inset) / Math.cos(Math.PI / 6);
+    ctx.beginPath();
+    for (let k = 0; k < 6; k++) {
+        const angle = Math.PI / 3 * k - Math.PI / 2; // Point at the top
+        const px = cx + Math.cos(angle) * radius;
+        const py = cy + Math.sin(angle) * radius;
+        k === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py);
     }
+    ctx.closePath();
+}
 
-    // Since grid might be larger than data, we wrap or interpolate.
-    // Let's just wrap for direct mapping.
+function fillCell(cube, fill, inset = 0) {
+    ctx.fillStyle = fill;
+    if (TOPOLOGIES[topology].hex) {
+        hexPath(cube, inset);
+        ctx.fill();
+    } else {
+        const { gap } = geometry;
+        const size = geometry.size - (gap + inset) * 2;
+        ctx.fillRect(cube.x + gap + inset, cube.y + gap + inset, size, size);
+    }
+}
 
-    cubes.forEach(cube => {
-        const dataVal = normalizedData[cube.index % normalizedData.length];
+function strokeCell(cube, stroke) {
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = 1;
+    if (TOPOLOGIES[topology].hex) {
+        hexPath(cube, 0.5);
+        ctx.stroke();
+    } else {
+        const { gap } = geometry;
+        const size = geometry.size - (gap * 2);
+        ctx.strokeRect(cube.x + gap + 0.5, cube.y + gap + 0.5, size - 1, size - 1);
+    }
+}
 
-        // Save history first
-        cube.prevValue = cube.value;
+// Runs a square-based drawing (scatter, subdivide) inside the cell's shape
+function drawInsideCell(cube, drawFn) {
+    const { gap, hexHeight } = geometry;
+    const size = geometry.size - (gap * 2);
+    if (!TOPOLOGIES[topology].hex) {
+        drawFn(cube.x + gap, cube.y + gap, size);
+        return;
+    }
+    ctx.save();
+    hexPath(cube, 0);
+    ctx.clip();
+    const top = cube.y + (hexHeight - geometry.size) / 2; // Square centered on the hexagon
+    drawFn(cube.x + gap, top + gap, size);
+    ctx.restore();
+}
 
-        switch (currentLevel) {
-            case 0: // Direct threshold
-                cube.state = dataVal > PARAMS.level0.threshold;
-                cube.value = dataVal;
-                break;
+function draw() {
+    requestAnimationFrame(draw);
+    const resized = syncGeometry(); // Cell Size slider
+    if (syncRegions() || resized) initGrid(); // Regions slider
+    update();
+
+    const now = performance.now();
+
+    if (renderer === 'webgl' && glRenderer.available) {
+        ctx.clearRect(0, 0, canvas.width, canvas.height); // The GL canvas shows through
+        glRenderer.clear();
+        regions.forEach(region => glRenderer.draw(region.sim, {
+            mode: resolveRenderMode(region.level),
+            hex: TOPOLOGIES[topology].hex,
+            gain: intensityGain(region),
+            now,
+            random: drawRandom, // Scatter dots, drawn the same as drawScatter()
+            geometry,
+            origin: region.box
+        }));
+    } else {
+        ctx.fillStyle = BG_COLOR;
+        ctx.fillRect(0, 0, canvas.width, canvas.height); // Clear screen
+        regions.forEach(region => drawCells(region, now));
+    }
 
-            case 1: // Opacity (mapped to value)
-                cube.value = dataVal;
-                cube.state = true; // Always on, alpha handles visibility
+    drawRegionLabels();
+    updateInspector();
+    drawInspected();
+    capture.frame();
+}
+
+// Canvas 2D path, one cube at a time
+function drawCells(region, now) {
+    const mode = resolveRenderMode(region.level);
+    const gain = intensityGain(region);
+    region.sim.cubes.forEach(cube => {
+        switch (mode) {
+            case 'grayscale':
+                fillCell(cube, `rgba(224, 224, 224, ${cubeIntensity(cube, gain)})`);
                 break;
 
-            case 2: // Smoothed threshold
-                cube.value = lerp(cube.value, dataVal, PARAMS.level2.smoothing);
-                cube.state = cube.value > PARAMS.level2.threshold;
+            case 'dither':
+                fillCell(cube, ditherPatterns[Math.round(cubeIntensity(cube, gain) * 16)]);
                 break;
 
-            case 3: // Probabilistic
-                if (random() < dataVal * PARAMS.level3.probabilityScale) cube.state = true;
-                else cube.state = false;
+            case 'outline': {
+                const fill = stateFill(cube, now);
+                if (fill === OFF_COLOR) break; // Stroke only, off cubes leave the background
+                strokeCell(cube, fill);
                 break;
+            }
 
-            case 4: // Entropy scatter (approximated)
-                const rndIdx = Math.floor(random() * normalizedData.length);
-                const rndData = normalizedData[rndIdx];
-                if (rndData > PARAMS.level4.threshold) cube.state = true;
-                else cube.state = false;
+            case 'inset': {
+                fillCell(cube, OFF_COLOR);
+                const fill = stateFill(cube, now);
+                if (fill === OFF_COLOR) break;
+                fillCell(cube, fill, geometry.inset);
                 break;
+            }
 
-            case 5: // Expression grammar (Rules Engine)
-                // Use time-varying offset for ripple effect
-                const level5Index = (cube.index + frameOffset) % normalizedData.length;
-                const level5DataVal = normalizedData[level5Index];
-                const neighbors = getNeighbors(cube);
-                let matched = false;
-
-                for (let r of rules) {
-                    // Override dataVal with level5DataVal for this cube
-                    const d = new Float32Array(normalizedData.length);
-                    d.set(normalizedData);
-                    d[cube.index % d.length] = level5DataVal;
-                    if (r.condition(cube, d, neighbors)) {
-                        applyAction(r.action, cube);
-                        matched = true;
-                        break;
-                    }
+            default: // binary
+                if (cube.shownState && cube.mode === 'scatter') {
+                    drawInsideCell(cube, (x, y, size) => drawScatter(x, y, size, cube.value));
+                } else if (cube.shownState && cube.mode === 'subdivide') {
+                    drawInsideCell(cube, (x, y, size) => drawSubdivided(x, y, size, cube.sub));
+                } else {
+                    fillCell(cube, stateFill(cube, now));
                 }
-                break;
         }
     });
+}
 
-    // Detect state transitions (on→off) and set traceTime
-    const now = performance.now();
-    cubes.forEach(cube => {
-        if (cube.prevState && !cube.state) {
-            // Just turned off - start trace
-            cube.traceTime = now;
+// Region letter and level in each region's corner, brightest on the focused one
+function drawRegionLabels() {
+    if (regions.length < 2) return;
+    ctx.font = REGION_FONT;
+    ctx.textBaseline = 'top';
+    regions.forEach((region, k) => {
+        const text = `${regionLabel(k)} · ${LEVEL_NAMES[region.level]}`;
+        const { x, y } = region.box;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(x, y, ctx.measureText(text).width + 8, 16);
+        ctx.fillStyle = k === focusedRegion ? ON_COLOR : '#888';
+        ctx.fillText(text, x + 4, y + 3);
+    });
+}
+
+// Inspector
+// Click a cube to pin a live readout, click it again to unpin, Escape clears all.
+// Holding Shift shows a readout for whatever is under the pointer.
+const INSPECT_COLOR = '#f55';
+const pinned = new Set(); // Cube indices
+const pinCards = new Map(); // Cube index -> readout element
+let hoverIndex = -1;
+let pointer = { x: 0, y: 0 };
+
+function cellCenter(cube) {
+    const height = TOPOLOGIES[topology].hex ? geometry.hexHeight : geometry.size;
+    return { x: cube.x + geometry.size / 2, y: cube.y + height / 2 };
+}
+
+// Nearest cell center works for both square and hex layouts
+function cubeAt(x, y) {
+    let best = null;
+    let bestDist = Infinity;
+    sim.cubes.forEach(cube => {
+        const center = cellCenter(cube);
+        const dist = (center.x - x) ** 2 + (center.y - y) ** 2;
+        if (dist < bestDist) {
+            bestDist = dist;
+            best = cube;
         }
-        cube.prevState = cube.state;
     });
+    return bestDist <= geometry.size * geometry.size ? best : null;
+}
 
-    // Increment frame offset for ripple effect
-    frameOffset = (frameOffset + PARAMS.level6.rippleSpeed) % 1024;
-}
-
-function applyAction(action, cube) {
-    switch (action) {
-        case 'on': cube.state = true; break;
-        case 'off': cube.state = false; break;
-        case 'flip': cube.state = !cube.state; break;
-        case 'scatter':
-            // Visual effect only? Or logical?
-            // "Random pixels within cube" - handled in render? 
-            // For now just flip state randomly
-            cube.state = random() > 0.5;
-            break;
-        case 'decay':
-            cube.value *= 0.9;
-            if (cube.value < 0.05) cube.state = false;
-            break;
+function togglePin(cube) {
+    if (!cube) return;
+    if (pinned.has(cube.index)) {
+        pinned.delete(cube.index);
+    } else {
+        pinned.add(cube.index);
     }
 }
 
-function draw() {
-    requestAnimationFrame(draw);
-    update();
+function inspectText(cube) {
+    const now = performance.now();
+    // Where the data mapping put the cube (engine.js mapPositions), before the ripple
+    const positions = sim.mapping.positions;
+    const base = positions ? Math.floor(positions[cube.index]) : cube.index;
+    const offset = currentLevel === 5 ? ` (${base} + offset ${sim.appliedOffset})` : '';
+    const trace = cube.traceTime > 0 ? `${Math.round(now - cube.traceTime)}ms ago` : 'never';
+    const rule = cube.lastRule
+        ? `${formatRule(cube.lastRule)} (${sim.frameCount - cube.lastRuleFrame}f ago)`
+        : '-';
+    return [
+        `#${cube.index}  col ${cube.c}  row ${cube.r}`,
+        `data[${cube.dataIndex}]${offset}`,
+        `value ${cube.value.toFixed(3)}  state ${cube.state ? 'on' : 'off'}`,
+        `neighbors ${countOnNeighbors(cube)}/${cube.neighbors.length}`,
+        `trace ${trace}`,
+        `rule ${rule}`
+    ].join('\n');
+}
 
-    ctx.fillStyle = BG_COLOR;
-    ctx.fillRect(0, 0, canvas.width, canvas.height); // Clear screen
+function placeCard(card, cube) {
+    const center = cellCenter(cube);
+    card.style.left = `${Math.min(center.x + geometry.size, window.innerWidth - card.offsetWidth - 4)}px`;
+    card.style.top = `${Math.min(center.y + geometry.size / 2, window.innerHeight - card.offsetHeight - 4)}px`;
+}
 
-    const now = performance.now();
-    const TRACE_DURATION = 500; // 0.5 seconds in ms
-
-    cubes.forEach(cube => {
-        let fill = OFF_COLOR;
-
-        if (currentLevel === 1) {
-            // Opacity mode
-            const alpha = Math.min(cube.value * PARAMS.level1.opacityGain, 1);
-            fill = `rgba(224, 224, 224, ${alpha})`;
-        } else if (cube.state) {
-            fill = ON_COLOR;
-        } else {
-            // Check for trace effect
-            const elapsed = now - cube.traceTime;
-            if (elapsed < TRACE_DURATION && cube.traceTime > 0) {
-                // Trace: white with 0.1 opacity
-                fill = 'rgba(255, 255, 255, 0.1)';
-            } else {
-                fill = OFF_COLOR;
-            }
+// Syncs the readout elements with the pins and the Shift-hover cube
+function updateInspector() {
+    const shown = new Set([...pinned].filter(i => i < sim.cubes.length));
+    if (hoverIndex >= 0 && hoverIndex < sim.cubes.length) shown.add(hoverIndex);
+
+    pinCards.forEach((card, index) => {
+        if (shown.has(index)) return;
+        card.remove();
+        pinCards.delete(index);
+    });
+    shown.forEach(index => {
+        let card = pinCards.get(index);
+        if (!card) {
+            card = document.createElement('div');
+            card.className = 'inspector';
+            document.body.appendChild(card);
+            pinCards.set(index, card);
         }
+        card.classList.toggle('hover', !pinned.has(index));
+        card.textContent = inspectText(sim.cubes[index]);
+        placeCard(card, sim.cubes[index]);
+    });
+}
 
-        ctx.fillStyle = fill;
-        // Draw with gap
-        const size = CELL_SIZE - (GAP * 2);
-        ctx.fillRect(cube.x + GAP, cube.y + GAP, size, size);
+function drawInspected() {
+    pinCards.forEach((card, index) => {
+        if (sim.cubes[index]) strokeCell(sim.cubes[index], INSPECT_COLOR);
     });
 }
 
+// Random pixels inside the cube, count proportional to value
+function drawScatter(x, y, size, value) {
+    ctx.fillStyle = OFF_COLOR;
+    ctx.fillRect(x, y, size, size);
+
+    const dots = Math.floor(size / SCATTER_DOT);
+    const count = Math.round(value * dots * dots);
+    ctx.fillStyle = ON_COLOR;
+    for (let i = 0; i < count; i++) {
+        const dx = Math.floor(drawRandom() * dots) * SCATTER_DOT;
+        const dy = Math.floor(drawRandom() * dots) * SCATTER_DOT;
+        ctx.fillRect(x + dx, y + dy, SCATTER_DOT, SCATTER_DOT);
+    }
+}
+
+// Inner grid with a 1px gap between sub-cells
+function drawSubdivided(x, y, size, sub) {
+    ctx.fillStyle = OFF_COLOR;
+    ctx.fillRect(x, y, size, size);
+
+    const step = size / SUBDIVISIONS;
+    ctx.fillStyle = ON_COLOR;
+    for (let k = 0; k < sub.length; k++) {
+        if (!sub[k]) continue;
+        const sx = x + (k % SUBDIVISIONS) * step;
+        const sy = y + Math.floor(k / SUBDIVISIONS) * step;
+        ctx.fillRect(Math.round(sx), Math.round(sy), Math.round(step) - 1, Math.round(step) - 1);
+    }
+}
+
 function loop() {
     draw();
 }
@@ -306,11 +1095,42 @@ function loop() {
 
 // Interaction
 window.addEventListener('resize', resize);
-window.addEventListener('load', resize);
+window.addEventListener('load', () => {
+    resize();
+    updateInfo();
+    presetControls.restore(); // Shared links: the URL hash holds a full preset
+    loop();
+});
 
-window.addEventListener('click', () => {
-    if (!audioCtx) initAudio();
-    else if (audioCtx.state === 'suspended') audioCtx.resume();
+window.addEventListener('click', (e) => {
+    if (sources[currentSource].needsAudio && !frameTape.replaying) {
+        if (!audioCtx) {
+            initAudio();
+            return; // The first click only starts audio
+        }
+        if (audioCtx.state === 'suspended') audioCtx.resume();
+    }
+
+    // Taps cycle levels on mobile, don't let their synthetic click pin cubes
+    const fromTouch = Date.now() - touchStartTime < 800;
+    if (e.target !== canvas || fromTouch) return;
+    // A click on another region focuses it, clicks on the focused one inspect
+    const region = regionAt(e.clientX, e.clientY);
+    if (region >= 0 && region !== focusedRegion) {
+        focusRegion(region);
+        return;
+    }
+    togglePin(cubeAt(e.clientX, e.clientY));
+});
+
+// Shift + hover to inspect without pinning
+window.addEventListener('mousemove', (e) => {
+    pointer = { x: e.clientX, y: e.clientY };
+    const cube = e.shiftKey && e.target === canvas ? cubeAt(pointer.x, pointer.y) : null;
+    hoverIndex = cube ? cube.index : -1;
+});
+window.addEventListener('keyup', (e) => {
+    if (e.key === 'Shift') hoverIndex = -1;
 });
 
 // Mobile tap to switch levels
@@ -331,51 +1151,117 @@ document.addEventListener('touchend', (e) => {
     // Only switch levels on quick tap (< 300ms) with minimal movement (< 20px)
     if (touchDuration < 300 && dx < 20 && dy < 20) {
         // Don't trigger on UI elements
-        if (e.target.id === 'fab' || e.target.closest('#paramPanel')) return;
+        if (e.target.id === 'fab' || e.target.closest('#paramPanel') || e.target.closest('#tools')) return;
 
-        if (!audioCtx) {
+        if (!isRunning) {
             initAudio();
             return;
         }
 
-        const descriptions = [
-            "Level 0: Direct Threshold",
-            "Level 1: Opacity",
-            "Level 2: Smoothed Threshold",
-            "Level 3: Probabilistic",
-            "Level 4: Entropy Scatter",
-            "Level 5: Expression Grammar"
-        ];
-
-        currentLevel = (currentLevel + 1) % 6;
-        info.textContent = descriptions[currentLevel];
+        setLevel((currentLevel + 1) % LEVEL_NAMES.length);
     }
 });
 
+// Renderer picker
+Object.keys(RENDERERS).forEach(key => rendererSelect.add(new Option(RENDERERS[key], key)));
+if (!glRenderer) rendererSelect.querySelector('[value="webgl"]').disabled = true;
+rendererSelect.addEventListener('change', () => setRenderer(rendererSelect.value));
+setRenderer('webgl');
+
+// Render mode picker
+RENDER_MODE_KEYS.forEach(key => renderModeSelect.add(new Option(RENDER_MODES[key], key)));
+renderModeSelect.addEventListener('change', () => setRenderMode(renderModeSelect.value));
+
+// Topology picker
+TOPOLOGY_KEYS.forEach(key => topologySelect.add(new Option(TOPOLOGIES[key].label, key)));
+topologySelect.addEventListener('change', () => setTopology(topologySelect.value));
+
+// Data mapping picker
+DATA_MAPPING_KEYS.forEach(key => dataMappingSelect.add(new Option(DATA_MAPPINGS[key], key)));
+dataMappingSelect.addEventListener('change', () => setDataMapping(dataMappingSelect.value));
+
+// Focused region picker (the Regions slider fills it, see syncRegions)
+regionSelect.add(new Option(regionLabel(0), 0));
+regionSelect.addEventListener('change', () => focusRegion(parseInt(regionSelect.value)));
+
+// Level transition picker
+TRANSITION_KEYS.forEach(key => transitionSelect.add(new Option(TRANSITIONS[key], key)));
+setTransition(transition);
+transitionSelect.addEventListener('change', () => setTransition(transitionSelect.value));
+
+// Evaluation mode picker
+EVAL_MODE_KEYS.forEach(key => evalModeSelect.add(new Option(EVAL_MODES[key], key)));
+evalModeSelect.addEventListener('change', () => setEvalMode(evalModeSelect.value));
+
+// Rule editor: re-parse on every edit, swap in the rules as soon as they're valid
+applyRulesText(DEFAULT_RULES);
+rulesEditor.addEventListener('input', () => {
+    const errors = setRulesText(rulesEditor.value);
+    rulesErrors.textContent = errors.map(e => e.message).join('\n');
+    rulesEditor.classList.toggle('invalid', errors.length > 0);
+});
+
+// Life rule: the datalist suggests the named rules, any B/S text works
+Object.keys(LIFE_RULES).forEach(key => lifeRuleList.appendChild(new Option(LIFE_RULES[key], key)));
+applyLifeRule(DEFAULT_LIFE_RULE);
+lifeRuleInput.addEventListener('input', () => setLifeRule(lifeRuleInput.value));
+
+// Evolution controls
+document.getElementById('generateRules').addEventListener('click', generateRules);
+document.getElementById('favoriteRules').addEventListener('click', favoriteRules);
+document.getElementById('breedRules').addEventListener('click', breedRules);
+driftToggle.addEventListener('change', () => setDrift(driftToggle.checked));
+
+const presetControls = setupPresets(getPresetState, setPresetState);
+const seedControl = setupSeedControl(setSeed);
+
 window.addEventListener('keydown', (e) => {
-    const descriptions = [
-        "Level 0: Direct Threshold",
-        "Level 1: Opacity",
-        "Level 2: Smoothed Threshold",
-        "Level 3: Probabilistic",
-        "Level 4: Entropy Scatter",
-        "Level 5: Expression Grammar"
-    ];
-
-    if (e.key >= '0' && e.key <= '5') {
-        currentLevel = parseInt(e.key);
-        info.textContent = descriptions[currentLevel];
+    // Typing in the panel shouldn't switch levels
+    if (e.target.matches('textarea, input[type="text"]')) return;
+
+    const levelCount = LEVEL_NAMES.length;
+
+    if (e.key >= '0' && e.key < String(levelCount)) {
+        setLevel(parseInt(e.key));
     } else if (e.key === 'ArrowRight') {
-        currentLevel = (currentLevel + 1) % 6;
-        info.textContent = descriptions[currentLevel];
+        setLevel((currentLevel + 1) % levelCount);
     } else if (e.key === 'ArrowLeft') {
-        currentLevel = (currentLevel - 1 + 6) % 6;
-        info.textContent = descriptions[currentLevel];
+        setLevel((currentLevel - 1 + levelCount) % levelCount);
     }
 
     if (e.key === 'r') {
         randomizeRules();
     }
+    if (e.key === 's') {
+        // Cycle data sources
+        const next = (SOURCE_KEYS.indexOf(currentSource) + 1) % SOURCE_KEYS.length;
+        setSource(SOURCE_KEYS[next]);
+    }
+    if (e.key === 'm') {
+        // Cycle render modes
+        const next = (RENDER_MODE_KEYS.indexOf(renderMode) + 1) % RENDER_MODE_KEYS.length;
+        setRenderMode(RENDER_MODE_KEYS[next]);
+    }
+    if (e.key === 't') {
+        // Cycle topologies
+        const next = (TOPOLOGY_KEYS.indexOf(topology) + 1) % TOPOLOGY_KEYS.length;
+        setTopology(TOPOLOGY_KEYS[next]);
+    }
+    if (e.key === 'e') {
+        // Cycle evaluation modes
+        const next = (EVAL_MODE_KEYS.indexOf(evalMode) + 1) % EVAL_MODE_KEYS.length;
+        setEvalMode(EVAL_MODE_KEYS[next]);
+    }
+    if (e.key === 'Shift') {
+        const cube = cubeAt(pointer.x, pointer.y);
+        hoverIndex = cube ? cube.index : -1;
+    }
+    if (e.key === 'Escape') pinned.clear();
+    if (e.key === 'g') generateRules();
+    if (e.key === 'f') favoriteRules();
+    if (e.key === 'b') breedRules();
+    if (e.key === 'u') setDrift(!driftEnabled);
+    if (e.key === 'v') focusRegion((focusedRegion + 1) % regions.length);
     if (e.code === 'Space') {
         isPaused = !isPaused;
     }
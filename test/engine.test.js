@@ -0,0 +1,439 @@
+// Engine tests: node --test
+// Every level and every rule action against fixed input arrays, with a
+// deterministic random so the probabilistic levels are exact too.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    TOPOLOGIES, ACTIONS, createState, findNeighbors, spiralOrder, hilbertOrder, mapPositions, readSample,
+    compileRules, orderRules, parseLifeRule, startTransition, step, applyAction, defaultLevels
+} = require('../engine.js');
+
+// The page's defaults (engine.js LEVEL_DEFAULTS, which script-4.js PARAMS starts from)
+const makeLevels = defaultLevels;
+
+// Replays a fixed list of "random" numbers, cycling
+const sequence = (...values) => {
+    let i = 0;
+    return () => values[i++ % values.length];
+};
+
+const DATA = Float32Array.from([0, 0.05, 0.2, 0.5, 0.8, 1]);
+
+function grid(options = {}) {
+    return createState({ cols: 3, rows: 2, random: sequence(0.5), ...options });
+}
+
+function run(state, data, level, extra = {}) {
+    return step(state, data, {
+        level,
+        levels: makeLevels(),
+        rules: [],
+        evalMode: 'first',
+        dataMapping: 'wrap',
+        features: {},
+        now: 1000,
+        ...extra
+    });
+}
+
+const states = (state) => state.cubes.map(c => (c.state ? 1 : 0));
+
+// Cubes on as if the last frame left them on
+const setOn = (state, indices) => indices.forEach(i => {
+    state.buffers.state[i] = 1;
+    state.buffers.prevState[i] = 1;
+    state.buffers.shownState[i] = 1;
+});
+const values = (state) => state.cubes.map(c => c.value);
+
+// Level 5 with a single rule, everything else at the defaults
+function runRule(state, text, data = DATA, extra = {}) {
+    const { rules, errors } = compileRules(text, { params: makeLevels().level5, random: state.random });
+    assert.deepEqual(errors, []);
+    return run(state, data, 5, { rules, ...extra });
+}
+
+test('createState lays out cubes row-major', () => {
+    const state = grid();
+    assert.equal(state.cubes.length, 6);
+    assert.deepEqual(state.cubes.map(c => [c.c, c.r]), [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1], [2, 1]]);
+    assert.equal(state.frameCount, 0);
+});
+
+test('createState keeps the counters of the state it replaces', () => {
+    const first = grid();
+    run(first, DATA, 5);
+    run(first, DATA, 5);
+    const next = createState({ cols: 4, rows: 4 }, first);
+    assert.equal(next.frameCount, 2);
+    assert.equal(next.frameOffset, 2);
+    assert.equal(next.appliedOffset, 1);
+});
+
+test('topologies find the expected neighbors', () => {
+    const counts = (topology) => grid({ cols: 4, rows: 4, topology }).cubes.map(c => c.neighbors.length);
+    assert.deepEqual(counts('square4').slice(0, 4), [2, 3, 3, 2]);
+    assert.deepEqual(counts('square8').slice(4, 8), [5, 8, 8, 5]);
+    assert.ok(counts('torus4').every(n => n === 4));
+    assert.ok(counts('torus8').every(n => n === 8));
+    assert.ok(counts('hexTorus').every(n => n === 6));
+    assert.equal(counts('hex')[5], 6); // Interior cell
+
+    // Odd rows shift right, so their diagonals lean right
+    const hex = grid({ cols: 4, rows: 4, topology: 'hex' });
+    const cube = hex.cubes[5]; // c 1, r 1
+    assert.deepEqual(findNeighbors(hex, cube).map(n => n.index).sort((a, b) => a - b), [1, 2, 4, 6, 9, 10]);
+    assert.equal(Object.keys(TOPOLOGIES).length, 6);
+});
+
+test('mapPositions wraps, spreads across columns or stretches', () => {
+    const state = grid();
+    assert.deepEqual(Array.from(mapPositions(state, 4, 'wrap')), [0, 1, 2, 3, 0, 1]);
+    assert.deepEqual(Array.from(mapPositions(state, 12, 'columns')), [0, 4, 8, 0, 4, 8]);
+    // First cube on the first sample, last on the last
+    assert.deepEqual(Array.from(mapPositions(state, 11, 'stretch')), [0, 2, 4, 6, 8, 10]);
+    assert.equal(mapPositions(state, 11, 'stretch'), state.mapping.positions); // Cached
+});
+
+test('spiral and Hilbert orders visit every cube through adjacent steps', () => {
+    const adjacent = (cols, a, b) =>
+        Math.abs(a % cols - b % cols) + Math.abs(Math.floor(a / cols) - Math.floor(b / cols)) === 1;
+    [spiralOrder, hilbertOrder].forEach(order => {
+        const cells = order(8, 8);
+        assert.equal(new Set(cells).size, 64);
+        assert.ok(cells.every((index, k) => k === 0 || adjacent(8, cells[k - 1], index)));
+        // Grids that aren't square still get every cube once
+        assert.deepEqual(order(5, 3).slice().sort((a, b) => a - b), Array.from({ length: 15 }, (_, k) => k));
+    });
+    assert.equal(spiralOrder(5, 3)[0], 7); // Center
+    assert.deepEqual(hilbertOrder(2, 2), [0, 2, 3, 1]);
+});
+
+test('readSample blends between samples and wraps', () => {
+    assert.equal(readSample(DATA, 3), 0.5);
+    assert.ok(Math.abs(readSample(DATA, 3.5) - 0.65) < 1e-6);
+    assert.ok(Math.abs(readSample(DATA, 5.5) - 0.5) < 1e-6); // Halfway from the last back to the first
+});
+
+test('stretched data interpolates what the cubes read', () => {
+    const state = createState({ cols: 11, rows: 1 });
+    run(state, DATA, 0, { dataMapping: 'stretch' });
+    assert.deepEqual(state.cubes.map(c => c.dataIndex), [0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5]);
+    assert.ok(Math.abs(state.cubes[7].sample - 0.65) < 1e-6);
+    assert.ok(Math.abs(state.cubes[7].value - 0.65) < 1e-6);
+});
+
+test('createState carries cube state over to a resized grid', () => {
+    const first = grid();
+    runRule(first, 'd > 0.7 -> scatter');
+    const next = createState({ cols: 6, rows: 4 }, first);
+    // Each 2x2 block copies the cube it now covers
+    assert.deepEqual(states(next), [
+        0, 0, 0, 0, 0, 0,
+        0, 0, 0, 0, 0, 0,
+        0, 0, 1, 1, 1, 1,
+        0, 0, 1, 1, 1, 1
+    ]);
+    assert.equal(next.cubes[23].mode, 'scatter');
+    assert.equal(next.cubes[23].value, 1);
+    assert.equal(next.cubes[23].history.state(1), true);
+    assert.notEqual(next.cubes[23].history, first.cubes[5].history);
+});
+
+test('level 0: direct threshold', () => {
+    const state = run(grid(), DATA, 0);
+    assert.deepEqual(states(state), [0, 0, 1, 1, 1, 1]);
+    assert.deepEqual(values(state), Array.from(DATA));
+});
+
+test('level 1: always on, value carries the level', () => {
+    const state = run(grid(), DATA, 1);
+    assert.deepEqual(states(state), [1, 1, 1, 1, 1, 1]);
+    assert.deepEqual(values(state), Array.from(DATA));
+});
+
+test('level 2: smoothed threshold', () => {
+    const state = grid();
+    const levels = makeLevels();
+    levels.level2.smoothing = 0.5;
+    levels.level2.threshold = 0.12;
+    run(state, DATA, 2, { levels });
+    // Halfway from 0 with smoothing 0.5
+    assert.deepEqual(values(state), Array.from(DATA, v => v / 2));
+    assert.deepEqual(states(state), [0, 0, 0, 1, 1, 1]);
+    run(state, DATA, 2, { levels });
+    assert.deepEqual(states(state), [0, 0, 1, 1, 1, 1]); // 0.2 climbs to 0.15
+});
+
+test('level 3: probabilistic', () => {
+    // On when random() < value * 0.5
+    const state = run(grid({ random: sequence(0.3) }), DATA, 3);
+    assert.deepEqual(states(state), [0, 0, 0, 0, 1, 1]);
+});
+
+test('level 4: entropy scatter reads random samples', () => {
+    const state = run(grid({ random: sequence(0, 0.9, 0.5, 0.2, 0.99, 0.1) }), DATA, 4);
+    assert.deepEqual(state.cubes.map(c => c.dataIndex), [0, 5, 3, 1, 5, 0]);
+    assert.deepEqual(states(state), [0, 1, 1, 0, 1, 0]);
+});
+
+test('level 6: spectrogram scrolls left, newest frame on the right', () => {
+    const state = grid();
+    run(state, DATA, 6);
+    // Bottom row reads the first half of the data, top row the second; peaks go in the last column
+    assert.deepEqual(values(state), [0, 0, 1, 0, 0, DATA[2]]);
+    assert.deepEqual(state.cubes.map(c => c.dataIndex), [3, 3, 3, 0, 0, 0]);
+    run(state, Float32Array.from([0.5, 0, 0, 0, 0, 0]), 6);
+    assert.deepEqual(values(state), [0, 1, 0, 0, DATA[2], 0.5]);
+    assert.deepEqual(states(state), [0, 1, 0, 0, 1, 1]);
+    assert.equal(state.cubes[2].traceTime, 1000); // The old peak scrolled on, leaving a trace
+
+    // Slower scrolling holds the loudest value in the newest column
+    const slow = grid();
+    const levels = makeLevels();
+    levels.level6.speed = 2;
+    run(slow, DATA, 6, { levels });
+    run(slow, Float32Array.from([0.5, 0, 0, 0, 0, 0]), 6, { levels }); // Scrolls on even frames
+    run(slow, new Float32Array(6), 6, { levels });
+    assert.deepEqual(values(slow), [0, 1, 0, 0, DATA[2], 0.5]);
+});
+
+test('level 7: neighborhood', () => {
+    const state = grid();
+    setOn(state, [1, 3]);
+    run(state, DATA, 7);
+    // 1 sparks, 0.8 has two on-neighbors, 0.5 holds, quiet cubes with fewer than two go off
+    assert.deepEqual(states(state), [0, 0, 0, 1, 1, 1]);
+});
+
+test('parseLifeRule reads B/S notation', () => {
+    assert.deepEqual(parseLifeRule('B36/S23'), { birth: 0b1001000, survive: 0b1100 });
+    assert.deepEqual(parseLifeRule('s23/b3'), { birth: 0b1000, survive: 0b1100 });
+    assert.deepEqual(parseLifeRule('B2/S'), { birth: 0b100, survive: 0 });
+    assert.equal(parseLifeRule('B3/B2'), null);
+    assert.equal(parseLifeRule('B9/S23'), null);
+    assert.equal(parseLifeRule('life'), null);
+});
+
+test('level 8: Life-like automaton, fed by the audio', () => {
+    const silence = new Float32Array(25);
+    const life = () => grid({ cols: 5, rows: 5, topology: 'square8' });
+
+    // A blinker flips between a row and a column
+    const blinker = life();
+    setOn(blinker, [11, 12, 13]);
+    run(blinker, silence, 8, { lifeRule: parseLifeRule('B3/S23') });
+    assert.deepEqual(states(blinker).flatMap((s, i) => (s ? [i] : [])), [7, 12, 17]);
+
+    // Loud cubes come alive, or are born with one neighbor fewer
+    const fed = life();
+    setOn(fed, [11, 12]);
+    const data = new Float32Array(25);
+    data[0] = 1; // Injected
+    data[7] = 0.8; // Two neighbors, boosted to B23
+    data[17] = 0.5; // Two neighbors, not boosted
+    run(fed, data, 8, { lifeRule: parseLifeRule('B3/S23') });
+    assert.deepEqual(states(fed).flatMap((s, i) => (s ? [i] : [])), [0, 7]);
+});
+
+// A grid all on at Level 1, switching to an empty Level 0 from now = 1000
+function transitionTo(kind, options) {
+    const state = grid(options);
+    run(state, Float32Array.from(DATA, () => 1), 1);
+    startTransition(state, kind, 1000, 1000);
+    return state;
+}
+const SILENCE = new Float32Array(6);
+// What the renderers draw, as opposed to the level's own state
+const shownStates = (state) => Array.from(state.buffers.shownState);
+const shownValues = (state) => Array.from(state.buffers.shownValue);
+
+test('transition wipe switches column by column and leaves traces', () => {
+    const state = transitionTo('wipe');
+    run(state, SILENCE, 0, { now: 1500 });
+    assert.deepEqual(shownStates(state), [0, 0, 1, 0, 0, 1]);
+    assert.deepEqual(state.cubes.map(c => c.traceTime), [1500, 1500, 0, 1500, 1500, 0]);
+    run(state, SILENCE, 0, { now: 2000 });
+    assert.deepEqual(shownStates(state), [0, 0, 0, 0, 0, 0]);
+    assert.deepEqual(state.cubes.map(c => c.traceTime), [1500, 1500, 2000, 1500, 1500, 2000]);
+    assert.equal(state.transition, null);
+});
+
+test('transition dissolve switches cubes in random order', () => {
+    const state = transitionTo('dissolve', { random: sequence(0.1, 0.9) });
+    run(state, SILENCE, 0, { now: 1500 });
+    assert.deepEqual(shownStates(state), [0, 1, 0, 1, 0, 1]);
+});
+
+test('transition crossfade blends values, states switch at drawn moments', () => {
+    let draws = 0;
+    const random = sequence(0.3, 0.6, 0.3, 0.6, 0.3, 0.6);
+    const state = transitionTo('crossfade', { random: () => { draws++; return random(); } });
+    assert.equal(draws, 6); // One per cube, up front
+    run(state, SILENCE, 0, { now: 1250 });
+    assert.deepEqual(shownValues(state), [0.75, 0.75, 0.75, 0.75, 0.75, 0.75]);
+    assert.deepEqual(shownStates(state), [1, 1, 1, 1, 1, 1]);
+    run(state, SILENCE, 0, { now: 1500 });
+    assert.deepEqual(shownStates(state), [0, 1, 0, 1, 0, 1]);
+    assert.equal(draws, 6); // None per frame, so seeded runs don't depend on the frame rate
+});
+
+test('transition only changes what is drawn, never the level state', () => {
+    const state = transitionTo('dissolve', { random: sequence(0.9) });
+    run(state, SILENCE, 0, { now: 1100 });
+    assert.deepEqual(shownStates(state), [1, 1, 1, 1, 1, 1]); // Old frame, frozen
+    assert.deepEqual(states(state), [0, 0, 0, 0, 0, 0]); // Level 0 on its own
+    assert.deepEqual(values(state), [0, 0, 0, 0, 0, 0]);
+    assert.deepEqual(state.cubes.map(c => c.prevState), [false, false, false, false, false, false]);
+});
+
+test('transition morph spreads through neighbors', () => {
+    const state = transitionTo('morph', { cols: 5, rows: 1, random: sequence(0, 0.99, 0.99, 0.99, 0.99) });
+    const silence = new Float32Array(5);
+    run(state, silence, 0, { now: 1100 });
+    assert.deepEqual(shownStates(state), [0, 1, 1, 1, 1]);
+    run(state, silence, 0, { now: 1200 });
+    assert.deepEqual(shownStates(state), [0, 0, 1, 1, 1]);
+    run(state, silence, 0, { now: 1300 });
+    assert.deepEqual(shownStates(state), [0, 0, 0, 1, 1]);
+});
+
+test('a cut or zero duration skips the transition', () => {
+    assert.equal(transitionTo('cut').transition, null);
+    const state = grid();
+    startTransition(state, 'wipe', 0, 0);
+    assert.equal(state.transition, null);
+});
+
+test('level 5: offset ripple and rule stats', () => {
+    const state = grid();
+    runRule(state, 'd > 0.7 -> on');
+    // First frame reads with offset 0
+    assert.deepEqual(states(state), [0, 0, 0, 0, 1, 1]);
+    assert.equal(state.appliedOffset, 0);
+    runRule(state, 'd > 0.7 -> on');
+    assert.equal(state.appliedOffset, 1);
+    assert.deepEqual(state.cubes.map(c => c.dataIndex), [1, 2, 3, 4, 5, 0]);
+});
+
+test('level 5: names from the object prototype are unknown', () => {
+    const { errors } = compileRules('constructor > 0 -> on\ntoString > 0 -> off\nvalueOf(1) > 0 -> flip', { params: makeLevels().level5 });
+    assert.deepEqual(errors.map(e => e.line), [1, 2, 3]);
+});
+
+test('level 5: first match stops, stack runs everything', () => {
+    const text = 'd > 0.1 -> on\nd > 0.1 -> flip @ 1';
+    const { rules } = compileRules(text);
+    assert.deepEqual(orderRules(rules, 'first').map(r => r.action), ['on', 'flip']);
+    assert.deepEqual(orderRules(rules, 'priority').map(r => r.action), ['flip', 'on']);
+
+    const first = run(grid(), DATA, 5, { rules: orderRules(rules, 'first') });
+    assert.deepEqual(states(first), [0, 0, 1, 1, 1, 1]);
+    assert.deepEqual(rules.map(r => r.fires), [4, 0]);
+
+    const stack = run(grid(), DATA, 5, { rules: orderRules(rules, 'stack'), evalMode: 'stack' });
+    assert.deepEqual(states(stack), [0, 0, 1, 1, 1, 1]); // flip then on
+    assert.deepEqual(rules.map(r => r.fires), [4, 4]);
+});
+
+test('level 5: rules see features and history', () => {
+    const state = grid();
+    runRule(state, 'beat -> on', DATA, { features: { beat: 1 } });
+    assert.deepEqual(states(state), [1, 1, 1, 1, 1, 1]);
+    runRule(state, 'wasOn(1) -> off');
+    assert.deepEqual(states(state), [0, 0, 0, 0, 0, 0]);
+    assert.ok(state.cubes.every(c => c.traceTime === 1000));
+});
+
+test('action on/off/flip', () => {
+    const state = grid();
+    runRule(state, 'd > 0.1 -> on');
+    assert.deepEqual(states(state), [0, 0, 1, 1, 1, 1]);
+    runRule(state, 'd > 0.5 -> off');
+    // The ripple has shifted the samples by one: 0.8 and 1 are now under cubes 3 and 4
+    assert.deepEqual(states(state), [0, 0, 1, 0, 0, 1]);
+    runRule(state, 's == 1 or d > 0.9 -> flip');
+    assert.deepEqual(states(state), [0, 0, 0, 1, 0, 0]);
+});
+
+test('action scatter', () => {
+    const state = runRule(grid(), 'd > 0.7 -> scatter');
+    assert.deepEqual(state.cubes.map(c => c.mode), ['solid', 'solid', 'solid', 'solid', 'scatter', 'scatter']);
+    assert.equal(state.cubes[5].value, 1);
+});
+
+test('action decay fades the value over frames', () => {
+    const state = grid();
+    state.cubes.forEach(c => {
+        c.value = 1;
+        c.state = true;
+    });
+    const data = new Float32Array(6).fill(0.5);
+    // 0.9 per frame: 0.9^28 = 0.052 is still on, 0.9^29 = 0.047 is under the cut-off
+    for (let frame = 1; frame <= 28; frame++) {
+        runRule(state, 'd > 0 -> decay', data);
+        assert.ok(values(state).every(v => Math.abs(v - 0.9 ** frame) < 1e-4));
+        assert.deepEqual(states(state), [1, 1, 1, 1, 1, 1]);
+    }
+    runRule(state, 'd > 0 -> decay', data);
+    assert.deepEqual(states(state), [0, 0, 0, 0, 0, 0]);
+});
+
+test('action propagate copies state to a neighbor', () => {
+    const state = grid({ random: sequence(0) });
+    state.cubes[0].state = true;
+    applyAction('propagate', state.cubes[0], DATA, state, { levels: makeLevels() });
+    // First neighbor in direction order: below
+    assert.equal(state.cubes[3].state, true);
+    assert.equal(state.cubes[1].state, false);
+});
+
+test('action invert swaps the whole grid after the pass', () => {
+    const state = runRule(grid(), 'd > 0.9 -> invert');
+    assert.deepEqual(states(state), [1, 1, 1, 1, 1, 1]);
+    assert.equal(state.invertPending, false);
+});
+
+test('action subdivide thresholds the inner grid', () => {
+    const state = grid();
+    const cube = state.cubes[0];
+    const data = Float32Array.from({ length: 9 }, (_, k) => k / 8);
+    applyAction('subdivide', cube, data, state, { levels: makeLevels() });
+    assert.equal(cube.mode, 'subdivide');
+    assert.deepEqual(Array.from(cube.sub), [0, 0, 0, 1, 1, 1, 1, 1, 1]);
+});
+
+test('every action changes the grid', () => {
+    // An action listed without a case in applyAction would leave all of this as it was
+    const snapshot = (state) => JSON.stringify({
+        buffers: Object.values(state.buffers).map(b => Array.from(b)),
+        modes: state.cubes.map(c => c.mode),
+        sub: state.cubes.map(c => c.sub && Array.from(c.sub)),
+        invertPending: state.invertPending
+    });
+    ACTIONS.forEach(action => {
+        const state = grid({ random: sequence(0) });
+        state.cubes.forEach(c => { c.value = 0.5; });
+        state.cubes[4].state = true; // One cube on, one off, so on and off both have work
+        const before = snapshot(state);
+        [state.cubes[0], state.cubes[4]].forEach(cube => {
+            applyAction(action, cube, DATA, state, { levels: makeLevels() });
+        });
+        assert.notEqual(snapshot(state), before, action);
+    });
+});
+
+test('cubes are views over the state buffers', () => {
+    const state = grid();
+    const cube = state.cubes[4];
+    cube.state = true;
+    cube.value = 0.25;
+    assert.equal(state.buffers.state[4], 1);
+    assert.equal(state.buffers.value[4], 0.25);
+    state.buffers.state[4] = 0;
+    assert.equal(cube.state, false);
+    run(state, DATA, 0);
+    assert.equal(cube.dataIndex, 4);
+    assert.equal(cube.prevValue, 0.25);
+});